@@ -9,6 +9,50 @@ class TransactionAnalyzer {
         this.selectedAccountType = null;
         this.lastFourDigits = null;
         
+        // "Detect automatically" answers are filled in from the file's fingerprint
+        this.detectBankAutomatically = false;
+        this.detectAccountTypeAutomatically = false;
+        this.bankGuess = null;
+        
+        // Account type read from the rows, compared with the user's answer before counting is trusted
+        this.accountTypeGuess = null;
+        this.accountTypeConfirmed = false;
+        this.currentFile = null;
+        
+        // Statement-level data (account, balances) from formats that carry it
+        this.statementInfo = {};
+        
+        // Per-sheet analysis for Excel workbooks
+        this.workbookSheets = [];
+        this.mergedSheetNames = [];
+        this.activeSheetSelection = null;
+        
+        // Pending rows are excluded from counts unless the user opts in
+        this.includePending = false;
+        
+        // Day/month order picked by the user when the file leaves it ambiguous ('MDY' or 'DMY')
+        this.dateOrderOverride = null;
+        
+        // Raw rows of the table that was read, kept so its columns can be re-mapped by hand
+        this.rawTable = null;
+        this.showMappingEditor = false;
+        
+        // Confirmed parsing settings per bank and account type, kept in localStorage
+        this.profileStorageKey = 'transactionAnalyzer.bankProfiles';
+        
+        // User-defined classification rules, checked before the built-in type detection
+        this.rulesStorageKey = 'transactionAnalyzer.classificationRules';
+        this.classificationRules = this.loadClassificationRules();
+        this.categoryStorageKey = 'transactionAnalyzer.categoryKeywords';
+        this.customCategoryKeywords = this.loadCustomCategoryKeywords();
+        
+        // Every account uploaded this session, so transfers between a client's own accounts can be matched
+        this.accounts = [];
+        this.currentAccountId = null;
+        this.transferPairs = [];
+        this.excludeTransfers = false;
+        this.transferWindowDays = 3;
+        
         // Row integrity tracking
         this.rowGuards = [];
         this.parsingFlags = {
@@ -17,7 +61,17 @@ class TransactionAnalyzer {
             tableConfidence: 0.0,
             pendingOnly: false,
             rowDriftBlocked: false,
-            policyConfidence: 0.0
+            policyConfidence: 0.0,
+            date1904: false,
+            encoding: null,
+            delimiter: null,
+            dateOrder: null,
+            dateOrderEvidence: null,
+            dateOrderAmbiguous: false,
+            baseCurrency: null,
+            manualColumnMapping: false,
+            profileStatus: null,
+            decimalComma: null
         };
         
         // Extended bank list for search functionality
@@ -154,6 +208,20 @@ class TransactionAnalyzer {
         if (generateSampleBtn) {
             generateSampleBtn.addEventListener('click', this.generateSampleData.bind(this));
         }
+        
+        // Bank profile sharing
+        const exportProfilesBtn = document.getElementById('exportProfilesBtn');
+        const importProfilesBtn = document.getElementById('importProfilesBtn');
+        const profileImportInput = document.getElementById('profileImportInput');
+        
+        if (exportProfilesBtn) {
+            exportProfilesBtn.addEventListener('click', this.exportBankProfiles.bind(this));
+        }
+        
+        if (importProfilesBtn && profileImportInput) {
+            importProfilesBtn.addEventListener('click', () => profileImportInput.click());
+            profileImportInput.addEventListener('change', this.handleProfileImport.bind(this));
+        }
 
     }
 
@@ -189,17 +257,24 @@ class TransactionAnalyzer {
         const validTypes = [
             'text/csv',
             'application/vnd.ms-excel',
-            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            'application/pdf',
+            'application/x-ofx',
+            'application/vnd.intu.qfx',
+            'application/qif',
+            'application/xml',
+            'text/xml'
         ];
         
-        const validExtensions = ['.csv', '.xlsx', '.xls'];
+        const validExtensions = ['.csv', '.xlsx', '.xls', '.pdf', '.ofx', '.qfx', '.qif', '.xml', '.sta', '.mt940', '.940', '.txt'];
         const fileExtension = file.name.toLowerCase().substring(file.name.lastIndexOf('.'));
         
         if (!validTypes.includes(file.type) && !validExtensions.includes(fileExtension)) {
-            alert('Please select a CSV or Excel file (.csv, .xlsx, .xls).');
+            alert('Please select a CSV, Excel, PDF, OFX/QFX, QIF, camt.053 XML or MT940 file (.csv, .xlsx, .xls, .pdf, .ofx, .qfx, .qif, .xml, .sta, .mt940, .txt).');
             return;
         }
 
+        this.currentFile = file;
         this.showProcessing();
         
         try {
@@ -210,6 +285,12 @@ class TransactionAnalyzer {
             this.accountType = result.accountType;
             this.counts = result.counts;
             
+            // Matched transfers with the client's other uploaded accounts may change what is counted
+            this.storeCurrentAccount(file.name);
+            if (this.matchInternalTransfers().length > 0 && this.excludeTransfers) {
+                this.counts = this.countTransactions(this.transactions, this.accountType);
+            }
+            
             this.displayResults();
         } catch (error) {
             console.error('Error processing spreadsheet:', error);
@@ -220,34 +301,139 @@ class TransactionAnalyzer {
                 errorMessage += 'Your file appears to contain mostly empty cells. Please ensure your spreadsheet has proper transaction data with at least Date and Amount columns.';
             } else if (error.message.includes('No valid transaction data found')) {
                 errorMessage += 'No valid transaction data found. Please ensure your file contains a header row with "Date" and "Amount" columns, and at least one row of transaction data.';
+            } else if (error.message.includes('holds statements for')) {
+                errorMessage += error.message;
             } else if (error.message.includes('Could not find required columns')) {
                 errorMessage += 'Could not find required columns. Please ensure your file has proper headers like "Date", "Amount", "Description", etc.';
             } else {
                 errorMessage += 'Please check the format and try again.';
             }
             
-            alert(errorMessage);
+            // When rows were read but not understood, the column mapping editor lets the user map them by hand
+            if (this.rawTable) {
+                this.transactions = [];
+                this.showMappingEditor = true;
+                document.getElementById('resultsSection').style.display = 'block';
+                this.displayErrorState(errorMessage);
+            } else {
+                alert(errorMessage);
+            }
         } finally {
             this.hideProcessing();
         }
     }
 
     async parseSpreadsheet(file) {
-        if (file.name.toLowerCase().endsWith('.csv')) {
+        const fileName = file.name.toLowerCase();
+        this.parsingFlags.declaredAccountType = null;
+        this.parsingFlags.date1904 = false;
+        this.parsingFlags.encoding = null;
+        this.parsingFlags.delimiter = null;
+        this.parsingFlags.dateOrder = null;
+        this.parsingFlags.dateOrderEvidence = null;
+        this.parsingFlags.dateOrderAmbiguous = false;
+        this.parsingFlags.baseCurrency = null;
+        this.parsingFlags.manualColumnMapping = false;
+        this.parsingFlags.profileStatus = null;
+        this.parsingFlags.decimalComma = null;
+        this.bankGuess = null;
+        this.accountTypeGuess = null;
+        this.accountTypeConfirmed = false;
+        this.dateOrderOverride = null;
+        this.statementInfo = {};
+        this.columnMapping = null;
+        this.rawTable = null;
+        this.showMappingEditor = false;
+        this.workbookSheets = [];
+        this.mergedSheetNames = [];
+        this.activeSheetSelection = null;
+        
+        if (fileName.endsWith('.csv')) {
+            this.parsingFlags.sourceFormat = 'csv';
+            const text = await this.readFileAsText(file);
+            return this.parseCSV(text);
+        } else if (fileName.endsWith('.pdf') || file.type === 'application/pdf') {
+            this.parsingFlags.sourceFormat = 'pdf';
+            return this.parsePDF(file);
+        } else if (fileName.endsWith('.ofx') || fileName.endsWith('.qfx')) {
+            this.parsingFlags.sourceFormat = 'ofx';
             const text = await this.readFileAsText(file);
+            this.detectBankFromText(text, 'ofx');
+            return this.parseOFX(text);
+        } else if (fileName.endsWith('.qif')) {
+            this.parsingFlags.sourceFormat = 'qif';
+            const text = await this.readFileAsText(file);
+            this.detectBankFromText(text, 'qif');
+            return this.parseQIF(text);
+        } else if (fileName.endsWith('.xml')) {
+            this.parsingFlags.sourceFormat = 'camt';
+            const text = await this.readFileAsText(file);
+            this.detectBankFromText(text, 'camt');
+            return this.parseCAMT(text);
+        } else if (/\.(sta|mt940|940|txt)$/.test(fileName)) {
+            // MT940 exports often arrive as plain .txt, so plain text is sniffed before falling back to CSV
+            const text = await this.readFileAsText(file);
+            if (this.isMT940Text(text)) {
+                this.parsingFlags.sourceFormat = 'mt940';
+                this.detectBankFromText(text, 'mt940');
+                return this.parseMT940(text);
+            }
+            this.parsingFlags.sourceFormat = 'csv';
             return this.parseCSV(text);
         } else {
             // Handle Excel files (.xlsx, .xls)
+            this.parsingFlags.sourceFormat = 'excel';
             return this.parseExcel(file);
         }
     }
 
-    readFileAsText(file) {
+    async readFileAsText(file) {
+        const buffer = await this.readFileAsArrayBuffer(file);
+        return this.decodeText(new Uint8Array(buffer));
+    }
+
+    decodeText(bytes) {
+        // Decode with the sniffed encoding instead of assuming UTF-8 (the BOM, if any, is dropped by TextDecoder)
+        const encoding = this.detectTextEncoding(bytes);
+        this.parsingFlags.encoding = encoding;
+        console.log('Detected text encoding:', encoding);
+        return new TextDecoder(encoding).decode(bytes);
+    }
+
+    detectTextEncoding(bytes) {
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+        
+        // BOM-less UTF-16: mostly-ASCII text leaves every other byte zero
+        const sample = bytes.subarray(0, 4096);
+        let evenZeros = 0;
+        let oddZeros = 0;
+        for (let i = 0; i < sample.length; i++) {
+            if (sample[i] === 0) {
+                if (i % 2 === 0) evenZeros++;
+                else oddZeros++;
+            }
+        }
+        const pairs = sample.length / 2;
+        if (pairs > 0 && oddZeros > pairs * 0.3 && evenZeros < pairs * 0.05) return 'utf-16le';
+        if (pairs > 0 && evenZeros > pairs * 0.3 && oddZeros < pairs * 0.05) return 'utf-16be';
+        
+        // Anything that is not valid UTF-8 is treated as Windows-1252, the usual legacy export encoding
+        try {
+            new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+            return 'utf-8';
+        } catch (error) {
+            return 'windows-1252';
+        }
+    }
+
+    readFileAsArrayBuffer(file) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
             reader.onload = (e) => resolve(e.target.result);
             reader.onerror = reject;
-            reader.readAsText(file);
+            reader.readAsArrayBuffer(file);
         });
     }
 
@@ -263,46 +449,38 @@ class TransactionAnalyzer {
                     const data = new Uint8Array(e.target.result);
                     console.log('Converting to workbook...');
                     
-                    const workbook = XLSX.read(data, { type: 'array' });
+                    // cellNF keeps each cell's number format so date-formatted serials can be told apart from amounts
+                    const workbook = XLSX.read(data, { type: 'array', cellNF: true });
                     console.log('Excel workbook loaded successfully');
                     console.log('Available sheets:', workbook.SheetNames);
                     
-                    // Get the first worksheet
-                    const firstSheetName = workbook.SheetNames[0];
-                    const worksheet = workbook.Sheets[firstSheetName];
-                    
-                    console.log('Processing worksheet:', firstSheetName);
-                    console.log('Worksheet range:', worksheet['!ref']);
+                    // Workbooks saved by Mac Excel may count serial dates from 1904-01-01 instead of 1900-01-01
+                    this.parsingFlags.date1904 = Boolean(workbook.Workbook && workbook.Workbook.WBProps && workbook.Workbook.WBProps.date1904);
                     
-                    // Convert worksheet to JSON array
-                    const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
-                    console.log('Excel data converted to JSON:', jsonData.length, 'rows');
-                    console.log('First few rows:', jsonData.slice(0, 3));
+                    // Score every sheet with the same table detection used for CSV files.
+                    // Sheets without a transaction table are expected to fail, so their flags are discarded.
+                    const savedFlags = {
+                        rowDriftBlocked: this.parsingFlags.rowDriftBlocked,
+                        usedFallbacks: [...this.parsingFlags.usedFallbacks]
+                    };
+                    this.workbookSheets = workbook.SheetNames.map(sheetName => 
+                        this.analyzeWorksheet(sheetName, workbook.Sheets[sheetName])
+                    );
                     
-                    // Convert to CSV-like format for processing
-                    const csvLines = jsonData.map((row, index) => {
-                        if (Array.isArray(row)) {
-                            const csvRow = row.map(cell => {
-                                // Handle empty cells and wrap in quotes if contains comma
-                                const cellValue = cell === undefined || cell === null ? '' : String(cell);
-                                return cellValue.includes(',') ? `"${cellValue}"` : cellValue;
-                            }).join(',');
-                            
-                            if (index < 3) {
-                                console.log(`Row ${index}:`, csvRow);
-                            }
-                            return csvRow;
-                        }
-                        return '';
-                    }).filter(line => line.trim());
+                    const selection = this.chooseDefaultSheetSelection(this.workbookSheets);
+                    if (!selection) {
+                        // The largest sheet is offered in the column mapping editor
+                        const largest = this.workbookSheets.reduce((best, sheet) => sheet.rows.length > best.rows.length ? sheet : best);
+                        this.rawTable = { rows: largest.rows, lineNumbers: null };
+                        const firstError = this.workbookSheets.find(sheet => sheet.error);
+                        throw firstError ? firstError.error : new Error('No valid transaction data found in any sheet');
+                    }
                     
-                    const csvText = csvLines.join('\n');
-                    console.log('Converted to CSV format (first 500 chars):', csvText.substring(0, 500));
+                    this.parsingFlags.rowDriftBlocked = savedFlags.rowDriftBlocked;
+                    this.parsingFlags.usedFallbacks = savedFlags.usedFallbacks;
                     
-                    // Parse as CSV
-                    console.log('Starting CSV parsing...');
-                    const transactions = this.parseCSV(csvText);
-                    console.log('Excel parsing completed, found', transactions.length, 'transactions');
+                    const transactions = this.applySheetSelection(selection);
+                    console.log('Excel parsing completed, using', selection, 'with', transactions.length, 'transactions');
                     resolve(transactions);
                 } catch (error) {
                     console.error(' Error parsing Excel file:', error);
@@ -319,413 +497,2609 @@ class TransactionAnalyzer {
         });
     }
 
-    parseCSV(text) {
-        // Use the new safe parsing system
-        return this.parseCSVSafe(text);
+    readWorksheetRows(worksheet) {
+        // Read cells by their stored type so dates and amounts never pass through text
+        if (!worksheet['!ref']) {
+            return [];
+        }
+        
+        const range = XLSX.utils.decode_range(worksheet['!ref']);
+        const rows = [];
+        for (let r = range.s.r; r <= range.e.r; r++) {
+            const row = [];
+            for (let c = range.s.c; c <= range.e.c; c++) {
+                row.push(this.readExcelCell(worksheet[XLSX.utils.encode_cell({ r, c })]));
+            }
+            rows.push(row);
+        }
+        return rows;
     }
 
-    findColumnMapping(lines) {
-        console.log(' Searching for column mapping...');
+    readExcelCell(cell) {
+        if (!cell || cell.v === undefined || cell.v === null) {
+            return '';
+        }
         
-        // Search through the first 20 lines to find the best header row
-        for (let rowIndex = 0; rowIndex < Math.min(20, lines.length); rowIndex++) {
-            const line = lines[rowIndex].trim();
-            if (!line) continue;
-            
-            console.log(`Checking row ${rowIndex}:`, line.substring(0, 100) + '...');
-            
-            const headers = this.parseCSVLine(line);
-            console.log(`Headers in row ${rowIndex}:`, headers);
-            
-            // Try to find all required columns in this row
-            const dateIndex = this.findColumnIndex(headers, [
-                'date', 'transaction date', 'posting date', 'trans date', 'txn date',
-                'transaction_date', 'posting_date', 'trans_date', 'txn_date'
-            ]);
-            
-            const descriptionIndex = this.findColumnIndex(headers, [
-                'description', 'memo', 'payee', 'merchant', 'vendor', 'payee name',
-                'transaction description', 'memo description', 'payee_name', 'merchant_name'
-            ]);
-            
-            const amountIndex = this.findColumnIndex(headers, [
-                'amount', 'transaction amount', 'debit', 'credit', 'balance',
-                'transaction_amount', 'debit_amount', 'credit_amount', 'balance_amount'
-            ]);
+        switch (cell.t) {
+            case 'n':
+                // Dates are stored as serial numbers; only the number format marks them as dates
+                if (cell.z && XLSX.SSF.is_date(cell.z)) {
+                    return this.excelSerialToDate(cell.v);
+                }
+                return cell.v;
+            case 'd':
+                return new Date(cell.v.getFullYear(), cell.v.getMonth(), cell.v.getDate());
+            case 'b':
+                return cell.v ? 'TRUE' : 'FALSE';
+            case 'e':
+                return '';
+            default:
+                return String(cell.v).trim();
+        }
+    }
+
+    excelSerialToDate(serial) {
+        // Day 0 is 1899-12-30 in the 1900 system (absorbing Excel's phantom 1900-02-29) and 1904-01-01 in the 1904 system
+        const days = Math.floor(serial);
+        return this.parsingFlags.date1904 ? new Date(1904, 0, 1 + days) : new Date(1899, 11, 30 + days);
+    }
+
+    isPlausibleDateSerial(serial) {
+        // Check numbers, reference ids and amounts are integers too; only serials from 1980 to 2099 pass as dates
+        if (!Number.isInteger(serial)) return false;
+        const year = this.excelSerialToDate(serial).getFullYear();
+        return year >= 1980 && year <= 2099;
+    }
+
+    // Transaction dates are plain 'YYYY-MM-DD' calendar dates with no time or timezone, so a row dated
+    // the 1st stays on the 1st (and in its month) whatever timezone the page is viewed in
+    toCalendarDate(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    makeCalendarDate(year, month, day) {
+        // Impossible dates such as 02/30 are rejected instead of rolling over into the next month
+        const date = new Date(year, month - 1, day);
+        if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+            return null;
+        }
+        return this.toCalendarDate(date);
+    }
+
+    calendarDateToLocal(calendarDate) {
+        const [year, month, day] = calendarDate.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    formatCalendarDate(calendarDate) {
+        return calendarDate ? this.calendarDateToLocal(calendarDate).toLocaleDateString() : '';
+    }
+
+    getMonthKey(calendarDate) {
+        // 'YYYY-MM' keys sort chronologically as plain strings
+        return calendarDate.slice(0, 7);
+    }
+
+    getMonthLabel(monthKey) {
+        const [year, month] = monthKey.split('-').map(Number);
+        return new Date(year, month - 1, 1).toLocaleDateString('en-US', { year: 'numeric', month: 'long' });
+    }
+
+    cellText(cell) {
+        // Text form of a typed cell for header and pattern matching
+        if (cell instanceof Date) {
+            return this.toCalendarDate(cell);
+        }
+        return String(cell ?? '');
+    }
+
+    analyzeWorksheet(sheetName, worksheet) {
+        console.log('Processing worksheet:', sheetName, 'range:', worksheet['!ref']);
+        
+        const rows = this.readWorksheetRows(worksheet);
+        const analysis = { name: sheetName, rows, score: 0, transactions: [], columnMapping: null, signature: null, statementInfo: {}, dateOrder: null, error: null };
+        if (rows.every(row => this.isBlankRow(row))) {
+            return analysis;
+        }
+        
+        // Preamble details (account, period, balances) and the date order belong to the sheet they were
+        // read from; applySheetSelection restores the shown sheet's
+        this.statementInfo = {};
+        this.resetDateOrderFlags();
+        try {
+            const transactions = this.parseRowsSafe(rows);
+            const columnMapping = this.columnMapping;
             
-            const typeIndex = this.findColumnIndex(headers, [
-                'type', 'transaction type', 'category', 'classification',
-                'transaction_type', 'category_type', 'classification_type'
-            ]);
+            // Header-detected tables beat pattern guesses; penalize sheets where few rows became
+            // transactions (summaries) or that only hold a handful of rows
+            const dataRows = rows.slice(columnMapping.headerRow + 1).filter(row => !this.isBlankRow(row)).length;
+            const mappingQuality = columnMapping.headerRow === -1 ? 0.7 : 1.0;
+            const rowYield = dataRows > 0 ? Math.min(1, transactions.length / dataRows) : 0;
+            const sizeFactor = Math.min(1, transactions.length / 10);
             
-            console.log(`Row ${rowIndex} - Date: ${dateIndex}, Description: ${descriptionIndex}, Amount: ${amountIndex}, Type: ${typeIndex}`);
+            transactions.forEach(t => { t.sheet = sheetName; });
             
-            // If we found at least Date and Amount, this is a good header row
-            if (dateIndex !== -1 && amountIndex !== -1) {
-                console.log(` Found valid header row at line ${rowIndex}`);
-                return {
-                    headerRow: rowIndex,
-                    dateIndex: dateIndex,
-                    descriptionIndex: descriptionIndex,
-                    amountIndex: amountIndex,
-                    typeIndex: typeIndex
-                };
-            }
+            Object.assign(analysis, {
+                score: mappingQuality * rowYield * sizeFactor,
+                transactions,
+                columnMapping,
+                signature: this.getSheetSignature(rows, columnMapping),
+                statementInfo: this.statementInfo,
+                dateOrder: this.getSheetDateOrder()
+            });
+        } catch (error) {
+            console.log(`Sheet "${sheetName}" has no transaction table:`, error.message);
+            analysis.error = error;
         }
         
-        console.log(' No valid header row found');
-        return null;
+        console.log(`Sheet "${sheetName}" score: ${analysis.score.toFixed(2)} (${analysis.transactions.length} transactions)`);
+        return analysis;
     }
 
-    isHeaderRow(line) {
-        const headers = this.parseCSVLine(line);
-        const headerText = headers.join(' ').toLowerCase();
-        
-        return headerText.includes('date') && 
-               (headerText.includes('amount') || headerText.includes('debit') || headerText.includes('credit'));
+    getSheetSignature(rows, columnMapping) {
+        if (columnMapping.headerRow === -1) {
+            return `pattern:${columnMapping.dateIndex}|${columnMapping.descriptionIndex}|${columnMapping.amountIndex}|${columnMapping.typeIndex}`;
+        }
+        return rows[columnMapping.headerRow].map(cell => this.cellText(cell).toLowerCase().trim()).join('|');
     }
 
-    parseCSVLine(line) {
-        const result = [];
-        let current = '';
-        let inQuotes = false;
+    chooseDefaultSheetSelection(sheets) {
+        const usable = sheets
+            .filter(sheet => sheet.transactions.length > 0)
+            .sort((a, b) => (b.score - a.score) || (b.transactions.length - a.transactions.length));
         
-        // Auto-detect delimiter (comma, semicolon, tab, pipe)
-        const delimiters = [',', ';', '\t', '|'];
-        let delimiter = ',';
+        if (usable.length === 0) {
+            return null;
+        }
         
-        // Count occurrences of each delimiter
-        const delimiterCounts = delimiters.map(d => ({
-            char: d,
-            count: (line.match(new RegExp('\\' + d, 'g')) || []).length
-        }));
+        // Sheets laid out exactly like the best one (e.g. one sheet per month) are merged
+        const best = usable[0];
+        this.mergedSheetNames = usable.filter(sheet => sheet.signature === best.signature).map(sheet => sheet.name);
         
-        // Choose the delimiter with the most occurrences
-        const bestDelimiter = delimiterCounts.reduce((max, current) => 
-            current.count > max.count ? current : max
-        );
+        return this.mergedSheetNames.length > 1 ? 'merged' : best.name;
+    }
+
+    applySheetSelection(selection) {
+        const sheets = selection === 'merged' ?
+            this.workbookSheets.filter(sheet => this.mergedSheetNames.includes(sheet.name)) :
+            this.workbookSheets.filter(sheet => sheet.name === selection);
+        
+        this.activeSheetSelection = selection;
+        this.columnMapping = sheets.length > 0 ? sheets[0].columnMapping : null;
+        this.rawTable = sheets.length > 0 ? { rows: sheets[0].rows, lineNumbers: null } : null;
+        this.statementInfo = this.combineSheetStatementInfo(sheets);
+        this.restoreSheetDateOrder(sheets);
+        
+        // Merged sheets that disagreed (or a user override) are re-read in the order now in force
+        const transactions = sheets.flatMap(sheet => sheet.transactions);
+        this.applyDateOrder(transactions);
+        return transactions;
+    }
+
+    combineSheetStatementInfo(sheets) {
+        // Merged sheets (e.g. one per month) run from the first sheet's opening values to the last sheet's closing ones
+        const combined = {};
+        sheets.forEach(sheet => {
+            Object.entries(sheet.statementInfo || {}).forEach(([key, value]) => {
+                if (value === null || value === undefined) return;
+                if (key === 'periodText') {
+                    combined.periodText = [combined.periodText ? combined.periodText[0] : value[0], value[1]];
+                } else if (key === 'closingBalance' || key === 'periodEnd' || combined[key] === undefined) {
+                    combined[key] = value;
+                }
+            });
+        });
+        return combined;
+    }
+
+    // PDF Statement Parsing
+    async parsePDF(file) {
+        console.log('Starting PDF parsing for:', file.name);
         
-        if (bestDelimiter.count > 0) {
-            delimiter = bestDelimiter.char;
+        if (typeof pdfjsLib === 'undefined') {
+            throw new Error('PDF library not loaded. Please refresh the page and try again.');
         }
         
-        // console.log(` Detected delimiter: "${delimiter}" for line: ${line.substring(0, 50)}...`);
+        await this.configurePdfWorker();
+        
+        const data = new Uint8Array(await this.readFileAsArrayBuffer(file));
+        // Client PDFs are untrusted: PDF.js 3.x compiles embedded font programs with eval unless told not to
+        // (CVE-2024-4367), so fonts are interpreted instead
+        const pdf = await pdfjsLib.getDocument({ data, isEvalSupported: false }).promise;
+        console.log('PDF loaded successfully, pages:', pdf.numPages);
+        
+        // Rebuild table rows page by page from the positioned text layer
+        const rows = [];
+        for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+            const page = await pdf.getPage(pageNumber);
+            const textContent = await page.getTextContent();
+            const pageRows = this.buildRowsFromTextItems(textContent.items);
+            console.log(`Page ${pageNumber}: ${textContent.items.length} text items, ${pageRows.length} rows`);
+            rows.push(...pageRows);
+        }
         
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
-            
-            if (char === '"') {
-                inQuotes = !inQuotes;
-            } else if (char === delimiter && !inQuotes) {
-                result.push(current.trim());
-                current = '';
-            } else {
-                current += char;
-            }
+        if (rows.length === 0) {
+            throw new Error('No valid transaction data found. The PDF has no text layer (it may be a scanned image).');
         }
         
-        result.push(current.trim());
-        return result;
+        const transactions = this.parseRowsSafe(rows);
+        console.log('PDF parsing completed, found', transactions.length, 'transactions');
+        return transactions;
     }
 
-    findColumnIndex(headers, possibleNames) {
-        for (let i = 0; i < headers.length; i++) {
-            const header = headers[i].toLowerCase().trim();
-            for (const name of possibleNames) {
-                if (header.includes(name.toLowerCase())) {
-                    return i;
-                }
-            }
+    configurePdfWorker() {
+        pdfjsLib.GlobalWorkerOptions.workerSrc = 'vendor/pdfjs/pdf.worker.min.js';
+        
+        // Browsers refuse to start Web Workers from file:// pages, so when the app is opened
+        // straight from disk the worker code is loaded on the main thread instead
+        if (window.location.protocol !== 'file:' || window.pdfjsWorker) {
+            return Promise.resolve();
         }
-        return -1;
+        
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = 'vendor/pdfjs/pdf.worker.min.js';
+            script.onload = resolve;
+            script.onerror = () => reject(new Error('Could not load the PDF worker script.'));
+            document.head.appendChild(script);
+        });
     }
 
-    createTransactionFromRow(row, dateIndex, descriptionIndex, amountIndex, typeIndex) {
-        try {
-            // Parse date
-            const dateStr = row[dateIndex];
-            const date = this.parseDate(dateStr);
-            if (!date) {
-                console.warn('Invalid date:', dateStr);
-                return null;
+    buildRowsFromTextItems(items) {
+        // Normalize PDF.js text items into positioned fragments (PDF origin is bottom-left)
+        const fragments = items
+            .filter(item => item.str && item.str.trim())
+            .map(item => ({
+                text: item.str.trim(),
+                x: item.transform[4],
+                y: item.transform[5],
+                width: item.width || 0,
+                height: item.height || Math.abs(item.transform[3]) || 10
+            }))
+            .sort((a, b) => (b.y - a.y) || (a.x - b.x));
+        
+        // Step 1: Group fragments that share a baseline into visual lines
+        const lines = [];
+        for (const fragment of fragments) {
+            const line = lines[lines.length - 1];
+            if (line && Math.abs(line.y - fragment.y) <= Math.max(2, fragment.height * 0.5)) {
+                line.fragments.push(fragment);
+            } else {
+                lines.push({ y: fragment.y, fragments: [fragment] });
+            }
+        }
+        
+        // Step 2: Split each line into cells wherever the horizontal gap is wider than a space
+        const cellLines = lines.map(line => {
+            const sorted = line.fragments.sort((a, b) => a.x - b.x);
+            const cells = [];
+            for (const fragment of sorted) {
+                const cell = cells[cells.length - 1];
+                const gap = cell ? fragment.x - cell.right : Infinity;
+                if (cell && gap < Math.max(4, fragment.height * 0.8)) {
+                    cell.text += (gap > 1 ? ' ' : '') + fragment.text;
+                    cell.right = Math.max(cell.right, fragment.x + fragment.width);
+                } else {
+                    cells.push({ text: fragment.text, x: fragment.x, right: fragment.x + fragment.width });
+                }
+            }
+            return cells;
+        });
+        
+        // Step 3: Once a header line is seen, snap every following cell to the header's columns
+        const rows = [];
+        let columns = null;
+        for (const cells of cellLines) {
+            if (this.isHeaderCells(cells.map(cell => cell.text))) {
+                columns = cells;
+                rows.push(cells.map(cell => cell.text));
+                continue;
             }
             
-            // Parse amount
-            const amountStr = row[amountIndex];
-            const amount = this.parseAmount(amountStr);
-            if (amount === null) {
-                console.warn('Invalid amount:', amountStr);
-                return null;
+            if (!columns) {
+                rows.push(cells.map(cell => cell.text));
+                continue;
             }
             
-            // Get description
-            const description = descriptionIndex !== -1 ? row[descriptionIndex] : 'Transaction';
+            const row = new Array(columns.length).fill('');
+            cells.forEach(cell => {
+                const columnIndex = this.findNearestPdfColumn(columns, cell);
+                row[columnIndex] = row[columnIndex] ? `${row[columnIndex]} ${cell.text}` : cell.text;
+            });
             
-            // Determine type
-            let type = 'debits'; // default
-            if (typeIndex !== -1 && row[typeIndex] !== undefined) {
-                const typeStr = String(row[typeIndex]).toLowerCase();
-                if (typeStr.includes('credit') || typeStr.includes('deposit') || typeStr.includes('payment')) {
-                    type = 'credits';
-                } else if (typeStr.includes('check')) {
-                    type = 'checks';
-                } else if (typeStr.includes('debit') || typeStr.includes('purchase') || typeStr.includes('withdrawal')) {
-                    type = 'debits';
-                }
-            } else {
-                // Auto-detect type based on amount
-                if (amount < 0) {
-                    type = 'credits';
-                } else {
-                    type = 'debits';
-                }
+            // A lone text cell past the first column is a wrapped description - join it to the row above
+            const filled = row.map((text, index) => ({ text, index })).filter(c => c.text);
+            const previous = rows[rows.length - 1];
+            if (filled.length === 1 && filled[0].index > 0 && previous && previous.length === row.length &&
+                !this.isValidAmount(filled[0].text) && !this.isHeaderCells(previous)) {
+                const index = filled[0].index;
+                previous[index] = previous[index] ? `${previous[index]} ${filled[0].text}` : filled[0].text;
+                continue;
             }
             
-            return {
-                date: date,
-                description: description,
-                amount: amount,
-                type: type
-            };
-        } catch (error) {
-            console.warn('Error creating transaction from row:', row, error);
-            return null;
+            rows.push(row);
         }
+        
+        return rows;
     }
 
-    parseDate(dateStr) {
-        try {
-            // Handle various date formats
-            const date = new Date(dateStr);
-            if (isNaN(date.getTime())) {
-                // Try MM/DD/YYYY format
-                const parts = dateStr.split('/');
-                if (parts.length === 3) {
-                    const month = parseInt(parts[0]);
-                    const day = parseInt(parts[1]);
-                    let year = parseInt(parts[2]);
-                    
-                    if (year < 100) {
-                        year += year < 50 ? 2000 : 1900;
-                    }
-                    
-                    return new Date(year, month - 1, day);
-                }
+    findNearestPdfColumn(columns, cell) {
+        let bestIndex = 0;
+        let bestOverlap = 0;
+        let bestDistance = Infinity;
+        
+        columns.forEach((column, index) => {
+            // Prefer the header the cell overlaps most (amounts are often right-aligned under it)
+            const overlap = Math.min(cell.right, column.right) - Math.max(cell.x, column.x);
+            const distance = Math.abs((cell.x + cell.right) / 2 - (column.x + column.right) / 2);
+            
+            if (overlap > bestOverlap || (bestOverlap <= 0 && overlap <= 0 && distance < bestDistance)) {
+                bestIndex = index;
+                bestOverlap = Math.max(overlap, 0);
+                bestDistance = distance;
             }
-            return date;
-        } catch (error) {
-            console.warn('Error parsing date:', dateStr);
+        });
+        
+        return bestIndex;
+    }
+
+    isHeaderCells(cells) {
+        const headerText = cells.join(' ').toLowerCase();
+        
+        return /\bdate\b/.test(headerText) && 
+               (headerText.includes('amount') || headerText.includes('debit') || headerText.includes('credit') ||
+                headerText.includes('withdrawal') || headerText.includes('deposit'));
+    }
+
+    // OFX/QFX Statement Parsing
+    parseOFX(text) {
+        console.log(' Starting OFX parsing...');
+        
+        // Works for both SGML (OFX 1.x, unclosed leaf tags) and XML (OFX 2.x) bodies
+        const blocks = text.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || [];
+        console.log(` Found ${blocks.length} STMTTRN records`);
+        
+        const isCreditCardStatement = /<CCSTMTRS>/i.test(text);
+        const isCreditCard = isCreditCardStatement || this.selectedAccountType === 'credit-card';
+        this.parsingFlags.declaredAccountType = isCreditCardStatement ? 'credit' : null;
+        
+        // CURDEF is the account's currency; individual rows may override it with <CURRENCY>/<ORIGCURRENCY>
+        const defaultCurrency = this.readOFXField(text, 'CURDEF').toUpperCase();
+        if (defaultCurrency) {
+            this.statementInfo = { format: 'ofx', currency: defaultCurrency };
+        }
+        const transactions = [];
+        
+        for (const block of blocks) {
+            const transaction = this.createTransactionFromOFX(block, isCreditCard);
+            if (transaction) {
+                transactions.push(transaction);
+            }
+        }
+        
+        if (transactions.length === 0) {
+            throw new Error('No valid transaction data found in OFX file');
+        }
+        
+        // Typed fields replace header guessing entirely
+        this.columnMapping = null;
+        
+        console.log(' OFX parsing completed, found', transactions.length, 'transactions');
+        return transactions;
+    }
+
+    readOFXField(block, tagName) {
+        const match = block.match(new RegExp(`<${tagName}>([^<\\r\\n]*)`, 'i'));
+        if (!match) return '';
+        
+        return match[1]
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&amp;/g, '&')
+            .trim();
+    }
+
+    createTransactionFromOFX(block, isCreditCard) {
+        const trnType = this.readOFXField(block, 'TRNTYPE').toUpperCase();
+        const dateStr = this.readOFXField(block, 'DTPOSTED');
+        const amountStr = this.readOFXField(block, 'TRNAMT');
+        const fitId = this.readOFXField(block, 'FITID');
+        const checkNumber = this.readOFXField(block, 'CHECKNUM');
+        const name = this.readOFXField(block, 'NAME');
+        const memo = this.readOFXField(block, 'MEMO');
+        
+        // DTPOSTED is YYYYMMDD[HHMMSS[.XXX]][[gmt offset:tz name]]
+        const dateMatch = dateStr.match(/^(\d{4})(\d{2})(\d{2})/);
+        if (!dateMatch) {
+            console.warn('Invalid OFX date:', dateStr);
+            return null;
+        }
+        const date = this.makeCalendarDate(parseInt(dateMatch[1]), parseInt(dateMatch[2]), parseInt(dateMatch[3]));
+        if (!date) {
+            console.warn('Invalid OFX date:', dateStr);
+            return null;
+        }
+        
+        const amount = this.parseAmountEnhanced(amountStr);
+        if (amount === null) {
+            console.warn('Invalid OFX amount:', amountStr);
             return null;
         }
+        
+        let description = name || memo || 'Transaction';
+        if (name && memo && !name.toLowerCase().includes(memo.toLowerCase())) {
+            description = `${name} - ${memo}`;
+        }
+        
+        return {
+            date: date,
+            description: description,
+            amount: amount,
+            type: this.getOFXTransactionType(trnType, amount, checkNumber, isCreditCard),
+            rawDate: dateStr,
+            rawAmount: amountStr,
+            checkNumber: checkNumber || null,
+            fitId: fitId || null,
+            currency: this.readOFXField(block, 'CURSYM').toUpperCase() || null
+        };
     }
 
-    parseAmount(amountStr) {
-        try {
-            // Handle empty or non-numeric strings
-            if (!amountStr || typeof amountStr !== 'string') {
-                return null;
-            }
+    getOFXTransactionType(trnType, amount, checkNumber, isCreditCard) {
+        // Credit card statements: charges are negative, payments and refunds positive
+        if (isCreditCard) {
+            return amount > 0 ? 'credits' : 'debits';
+        }
+        
+        if (checkNumber || trnType === 'CHECK') {
+            return 'checks';
+        }
+        
+        const creditTypes = ['CREDIT', 'DEP', 'DIRECTDEP', 'INT', 'DIV'];
+        const debitTypes = ['DEBIT', 'FEE', 'SRVCHG', 'ATM', 'POS', 'DIRECTDEBIT', 'CASH'];
+        
+        if (creditTypes.includes(trnType)) {
+            return 'credits';
+        }
+        if (debitTypes.includes(trnType)) {
+            return 'debits';
+        }
+        
+        // PAYMENT, XFER, REPEATPMT, OTHER - direction comes from the sign
+        return amount < 0 ? 'debits' : 'credits';
+    }
+
+    // QIF Statement Parsing
+    parseQIF(text) {
+        console.log(' Starting QIF parsing...');
+        
+        const supportedTypes = ['bank', 'ccard', 'cash', 'oth a', 'oth l'];
+        const transactions = [];
+        let accountType = null;
+        let record = {};
+        
+        for (const rawLine of text.split(/\r?\n/)) {
+            const line = rawLine.trim();
+            if (!line) continue;
             
-            // Remove currency symbols, commas, and extra spaces
-            const cleanAmount = amountStr.replace(/[$,\s]/g, '');
+            // Section headers (!Type:Bank, !Type:CCard, !Account, !Option:AutoSwitch...)
+            if (line.startsWith('!')) {
+                const typeMatch = line.match(/^!Type:(.+)$/i);
+                accountType = typeMatch ? typeMatch[1].trim().toLowerCase() : null;
+                record = {};
+                continue;
+            }
             
-            // Check if it's a valid number
-            if (!/^-?\d*\.?\d+$/.test(cleanAmount)) {
-                return null;
+            if (line === '^') {
+                if (supportedTypes.includes(accountType)) {
+                    const transaction = this.createTransactionFromQIF(record, accountType);
+                    if (transaction) {
+                        transactions.push(transaction);
+                    }
+                }
+                record = {};
+                continue;
             }
             
-            const amount = parseFloat(cleanAmount);
-            return isNaN(amount) ? null : amount;
-        } catch (error) {
-            console.warn('Error parsing amount:', amountStr);
-            return null;
+            const field = line[0];
+            const value = line.substring(1).trim();
+            
+            // U is the same amount as T in newer Quicken exports; S/E/$ split lines are ignored
+            const key = field === 'U' ? 'T' : field;
+            if (['D', 'T', 'P', 'M', 'N', 'C', 'L'].includes(key) && record[key] === undefined) {
+                record[key] = value;
+            }
+        }
+        
+        if (transactions.length === 0) {
+            throw new Error('No valid transaction data found in QIF file');
         }
+        
+        this.parsingFlags.declaredAccountType = transactions.every(t => t.qifType === 'ccard') ? 'credit' : null;
+        
+        this.columnMapping = null;
+        
+        console.log(' QIF parsing completed, found', transactions.length, 'transactions');
+        return transactions;
     }
 
-    getBankDisplayName(bankValue) {
-        const bankMappings = {
-            'chase': 'Chase',
-            'bank-of-america': 'BoA',
-            'wells-fargo': 'WF',
-            'capital-one': 'CapitalOne',
-            'american-express': 'Amex'
+    createTransactionFromQIF(record, accountType) {
+        const date = this.parseQIFDate(record.D || '');
+        if (!date) {
+            console.warn('Invalid QIF date:', record.D);
+            return null;
+        }
+        
+        const amount = this.parseAmountEnhanced(record.T || '');
+        if (amount === null) {
+            console.warn('Invalid QIF amount:', record.T);
+            return null;
+        }
+        
+        // N holds the check number, or a code such as ATM, DEP, EFT, XFER
+        const number = (record.N || '').trim();
+        const checkNumber = /^\d+$/.test(number) ? number : null;
+        
+        const payee = record.P || '';
+        const memo = record.M || '';
+        let description = payee || memo || 'Transaction';
+        if (payee && memo && !payee.toLowerCase().includes(memo.toLowerCase())) {
+            description = `${payee} - ${memo}`;
+        }
+        
+        let type;
+        if (accountType === 'ccard') {
+            // Quicken stores charges as negative and payments/credits as positive
+            type = amount > 0 ? 'credits' : 'debits';
+        } else if (checkNumber) {
+            type = 'checks';
+        } else {
+            type = amount < 0 ? 'debits' : 'credits';
+        }
+        
+        return {
+            date: date,
+            description: description,
+            amount: amount,
+            type: type,
+            rawDate: record.D,
+            rawAmount: record.T,
+            checkNumber: checkNumber,
+            qifType: accountType
         };
+    }
+
+    parseQIFDate(dateStr) {
+        // Quicken variants: 01/15/2024, 1/15/24, 1/15'24 (apostrophe = 2000s), 2024-01-15
+        const cleaned = dateStr.replace(/\s+/g, '');
         
-        return bankMappings[bankValue] || this.capitalizeFirst(bankValue.replace(/-/g, ' '));
+        let match = cleaned.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+        if (match) {
+            return this.makeCalendarDate(parseInt(match[1]), parseInt(match[2]), parseInt(match[3]));
+        }
+        
+        match = cleaned.match(/^(\d{1,2})[\/\-.](\d{1,2})(['\/\-.])(\d{2,4})$/);
+        if (!match) {
+            return null;
+        }
+        
+        const month = parseInt(match[1]);
+        const day = parseInt(match[2]);
+        let year = parseInt(match[4]);
+        
+        if (year < 100) {
+            year += match[3] === "'" || year < 50 ? 2000 : 1900;
+        }
+        
+        return this.makeCalendarDate(year, month, day);
     }
 
-    getAccountTypeAbbreviation(accountType) {
-        const typeMappings = {
-            'checking': 'ck',
-            'savings': 'sav',
-            'credit-card': 'cc'
+    // ISO 20022 camt.053 / camt.052 Statement Parsing
+    parseCAMT(text) {
+        console.log(' Starting camt XML parsing...');
+        
+        const xml = new DOMParser().parseFromString(text, 'application/xml');
+        if (xml.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('No valid transaction data found. The XML file could not be read.');
+        }
+        
+        // camt.053 wraps entries in Stmt, camt.052 (intraday) in Rpt; a file often holds one per day
+        const statements = [...this.getXmlElements(xml, 'Stmt'), ...this.getXmlElements(xml, 'Rpt')];
+        if (statements.length === 0) {
+            throw new Error('No valid transaction data found. The XML file is not a camt.053 or camt.052 statement.');
+        }
+        
+        // Statements for several accounts can't be counted (or reconciled) as one account
+        const getAccountId = (statement) => this.getXmlText(statement, 'Acct', 'Id', 'IBAN') || this.getXmlText(statement, 'Acct', 'Id', 'Othr', 'Id');
+        const accountIds = [...new Set(statements.map(getAccountId))];
+        if (accountIds.length > 1) {
+            throw new Error(`The camt file holds statements for ${accountIds.length} accounts (${accountIds.map(id => id || 'unnamed').join(', ')}). Export or upload one account at a time.`);
+        }
+        
+        const accountCurrency = statements.map(statement => this.getXmlText(statement, 'Acct', 'Ccy')).find(Boolean);
+        this.statementInfo = {
+            format: this.getXmlElements(xml, 'Rpt').length > 0 ? 'camt.052' : 'camt.053',
+            accountId: accountIds[0],
+            currency: accountCurrency || null,
+            ...this.mergeCAMTBalances(statements.map(statement => this.readCAMTBalances(statement)))
         };
         
-        return typeMappings[accountType] || accountType;
+        const isCreditCard = this.selectedAccountType === 'credit-card';
+        const transactions = [];
+        
+        for (const entry of statements.flatMap(statement => this.getXmlElements(statement, 'Ntry'))) {
+            const transaction = this.createTransactionFromCAMT(entry, isCreditCard);
+            if (transaction) {
+                transactions.push(transaction);
+            }
+        }
+        
+        if (transactions.length === 0) {
+            throw new Error('No valid transaction data found in camt statement');
+        }
+        
+        this.columnMapping = null;
+        
+        console.log(' camt parsing completed, found', transactions.length, 'transactions');
+        return transactions;
     }
 
-    displayResults() {
-        const resultsSection = document.getElementById('resultsSection');
-        resultsSection.style.display = 'block';
+    getXmlElements(root, localName) {
+        return Array.from(root.getElementsByTagNameNS('*', localName));
+    }
 
-        // Only display results if we have valid transactions
-        if (this.transactions && this.transactions.length > 0) {
-            // Clear any existing error content first
-            const accountType = this.selectedAccountType || 'cash'; // Default to cash if not selected
-            const bankName = this.getBankDisplayName(this.selectedBank);
-            const accountTypeAbbr = this.getAccountTypeAbbreviation(accountType);
-            const lastFour = this.lastFourDigits || '****';
-            const headerTitle = `${bankName} ${accountTypeAbbr}${lastFour}`;
+    getXmlChild(element, ...path) {
+        let current = element;
+        for (const localName of path) {
+            if (!current) return null;
+            current = Array.from(current.children).find(child => child.localName === localName) || null;
+        }
+        return current;
+    }
+
+    getXmlText(element, ...path) {
+        const child = this.getXmlChild(element, ...path);
+        return child ? child.textContent.trim() : '';
+    }
+
+    readCAMTBalances(statement) {
+        const balances = {};
+        
+        for (const balance of Array.from(statement.children).filter(child => child.localName === 'Bal')) {
+            const code = this.getXmlText(balance, 'Tp', 'CdOrPrtry', 'Cd');
+            const amountElement = this.getXmlChild(balance, 'Amt');
+            if (!amountElement) continue;
             
-            // Determine column headers based on account type
-            let columnHeaders = '';
-            if (accountType === 'credit-card') {
-                columnHeaders = `
-                    <tr class="table-title-row">
-                        <th colspan="4">${headerTitle}</th>
-                    </tr>
-                    <tr>
-                        <th>Month</th>
-                        <th>Charges</th>
-                        <th>Payments</th>
-                        <th>Totals</th>
-                    </tr>
-                `;
-            } else {
-                columnHeaders = `
-                    <tr class="table-title-row">
-                        <th colspan="5">${headerTitle}</th>
-                    </tr>
-                    <tr>
-                        <th>Month</th>
-                        <th>Debits</th>
-                        <th>Credits</th>
-                        <th>Checks</th>
-                        <th>Totals</th>
-                    </tr>
-                `;
-            }
+            const amount = parseFloat(amountElement.textContent.trim());
+            const value = {
+                amount: this.getXmlText(balance, 'CdtDbtInd') === 'DBIT' ? -amount : amount,
+                currency: amountElement.getAttribute('Ccy') || null,
+                date: this.getXmlText(balance, 'Dt', 'Dt') || this.getXmlText(balance, 'Dt', 'DtTm').substring(0, 10) || null
+            };
             
-            resultsSection.innerHTML = `
-                <h2>Transaction Analysis</h2>
-                
-                <!-- Summary Table -->
-                <div class="summary-section">
-                    <h3>Monthly Transaction Counts</h3>
-                    <table class="summary-table" id="summaryTable">
-                        <thead>
-                            ${columnHeaders}
-                        </thead>
-                        <tbody id="summaryTableBody">
-                        </tbody>
-                    </table>
-                </div>
+            // OPBD/CLBD on camt.053; PRCD is the previous closing, ITBD the interim balances on camt.052
+            if (code === 'OPBD' || (code === 'PRCD' && !balances.openingBalance)) {
+                balances.openingBalance = value;
+            } else if (code === 'ITBD' && !balances.openingBalance) {
+                balances.openingBalance = value;
+            } else if (code === 'CLBD' || code === 'ITBD') {
+                balances.closingBalance = value;
+            }
+        }
+        
+        return balances;
+    }
 
-                <!-- Toggle Button for Detailed View -->
-                <div class="toggle-section" style="text-align: center; margin: 20px 0;">
-                    <button class="toggle-details-btn" id="toggleDetailsBtn"> View Detailed Transactions</button>
-                </div>
+    mergeCAMTBalances(statementBalances) {
+        // Consecutive statements of one account: the earliest opening and the latest closing balance
+        // (by balance date, file order when undated) frame every entry in the file
+        const pick = (key, later) => statementBalances.map(balances => balances[key]).filter(Boolean)
+            .reduce((chosen, balance) => {
+                if (!chosen) return balance;
+                if (!chosen.date || !balance.date) return later ? balance : chosen;
+                return (later ? balance.date >= chosen.date : balance.date < chosen.date) ? balance : chosen;
+            }, null);
+        
+        const balances = {};
+        const opening = pick('openingBalance', false);
+        const closing = pick('closingBalance', true);
+        if (opening) balances.openingBalance = opening;
+        if (closing) balances.closingBalance = closing;
+        return balances;
+    }
 
-                <!-- Detailed Transactions Table (Hidden by default) -->
-                <div class="transactions-section" id="transactionsSection" style="display: none;">
-                    <h3>All Transactions</h3>
-                    <div class="table-controls">
-                        <input type="text" id="searchInput" placeholder="Search transactions..." class="search-input">
-                        <select id="typeFilter" class="type-filter">
-                            <option value="">All Types</option>
-                            ${this.selectedAccountType === 'credit-card' ? 
-                                '<option value="charges">Charge</option><option value="payments">Payment</option>' :
-                                '<option value="checks">Checks</option><option value="debits">Debits</option><option value="credits">Credits</option>'
-                            }
-                        </select>
-                    </div>
-                    <table class="transactions-table" id="transactionsTable">
-                        <thead>
-                            <tr>
-                                <th class="sortable" data-column="date">Date</th>
-                                <th class="sortable" data-column="description">Description</th>
-                                <th class="sortable" data-column="amount">Amount</th>
-                                <th class="sortable" data-column="type">Type</th>
-                            </tr>
-                        </thead>
-                        <tbody id="transactionsTableBody">
-                        </tbody>
-                    </table>
-                </div>
+    createTransactionFromCAMT(entry, isCreditCard) {
+        const amountElement = this.getXmlChild(entry, 'Amt');
+        const amountStr = amountElement ? amountElement.textContent.trim() : '';
+        const amount = parseFloat(amountStr);
+        if (isNaN(amount)) {
+            console.warn('Invalid camt amount:', amountStr);
+            return null;
+        }
+        
+        const isDebit = this.getXmlText(entry, 'CdtDbtInd') === 'DBIT';
+        const signedAmount = isDebit ? -Math.abs(amount) : Math.abs(amount);
+        
+        // Booking date first, value date as fallback (either Dt or DtTm)
+        const dateStr = this.getXmlText(entry, 'BookgDt', 'Dt') || this.getXmlText(entry, 'BookgDt', 'DtTm') ||
+            this.getXmlText(entry, 'ValDt', 'Dt') || this.getXmlText(entry, 'ValDt', 'DtTm');
+        const dateMatch = dateStr.match(/^(\d{4})-(\d{2})-(\d{2})/);
+        if (!dateMatch) {
+            console.warn('Invalid camt date:', dateStr);
+            return null;
+        }
+        const date = this.makeCalendarDate(parseInt(dateMatch[1]), parseInt(dateMatch[2]), parseInt(dateMatch[3]));
+        if (!date) {
+            console.warn('Invalid camt date:', dateStr);
+            return null;
+        }
+        
+        // Sts is plain text up to camt.053.001.07 and <Sts><Cd>..</Cd></Sts> afterwards
+        const status = this.getXmlText(entry, 'Sts').toUpperCase();
+        
+        const details = this.getXmlChild(entry, 'NtryDtls', 'TxDtls');
+        const remittance = details ? this.getXmlElements(details, 'Ustrd').map(el => el.textContent.trim()).join(' ') : '';
+        const counterparty = details ? this.getXmlText(details, 'RltdPties', isDebit ? 'Cdtr' : 'Dbtr', 'Nm') ||
+            this.getXmlText(details, 'RltdPties', isDebit ? 'Cdtr' : 'Dbtr', 'Pty', 'Nm') : '';
+        const additionalInfo = this.getXmlText(entry, 'AddtlNtryInf');
+        const checkNumber = details ? this.getXmlText(details, 'Refs', 'ChqNb') : '';
+        
+        const description = [counterparty, remittance].filter(Boolean).join(' - ') || additionalInfo || 'Transaction';
+        
+        let type;
+        if (isCreditCard) {
+            type = isDebit ? 'debits' : 'credits';
+        } else if (checkNumber) {
+            type = 'checks';
+        } else {
+            type = isDebit ? 'debits' : 'credits';
+        }
+        
+        return {
+            date: date,
+            description: description,
+            amount: signedAmount,
+            type: type,
+            rawDate: dateStr,
+            rawAmount: amountStr,
+            checkNumber: checkNumber || null,
+            posted: status ? status === 'BOOK' : true,
+            status: status || null,
+            currency: amountElement.getAttribute('Ccy') || null,
+            reference: this.getXmlText(entry, 'AcctSvcrRef') || this.getXmlText(entry, 'NtryRef') || null
+        };
+    }
+
+    // SWIFT MT940 Statement Parsing
+    isMT940Text(text) {
+        return /(^|\n|\{4:)\s*:20:/.test(text) && /\n:61:/.test(text.replace(/\r/g, ''));
+    }
+
+    parseMT940(text) {
+        console.log(' Starting MT940 parsing...');
+        
+        // Group physical lines into :tag: fields; untagged lines continue the previous field
+        const fields = [];
+        for (const rawLine of text.replace(/\r/g, '').split('\n')) {
+            const line = rawLine.replace(/^\{4:/, '');
+            if (!line.trim() || /^-\}?$/.test(line.trim()) || /^\{\d:/.test(line)) continue;
+            
+            const tagMatch = line.match(/^:(\d{2}[A-Z]?):(.*)$/);
+            if (tagMatch) {
+                fields.push({ tag: tagMatch[1], value: tagMatch[2] });
+            } else if (fields.length > 0) {
+                fields[fields.length - 1].value += '\n' + line;
+            }
+        }
+        
+        // Statements for several accounts can't be counted (or reconciled) as one account
+        const accountIds = [...new Set(fields.filter(field => field.tag === '25').map(field => field.value.trim()))];
+        if (accountIds.length > 1) {
+            throw new Error(`The MT940 file holds statements for ${accountIds.length} accounts (${accountIds.join(', ')}). Export or upload one account at a time.`);
+        }
+        
+        const transactions = [];
+        const isCreditCard = this.selectedAccountType === 'credit-card';
+        let lastTransaction = null;
+        this.statementInfo = { format: 'mt940' };
+        
+        for (const field of fields) {
+            switch (field.tag) {
+                case '25':
+                    this.statementInfo.accountId = field.value.trim();
+                    break;
+                case '60F':
+                case '60M': {
+                    // Keep the first opening balance of a multi-statement file
+                    const balance = this.parseMT940Balance(field.value);
+                    if (balance && !this.statementInfo.openingBalance) {
+                        this.statementInfo.openingBalance = balance;
+                        this.statementInfo.currency = balance.currency;
+                    }
+                    break;
+                }
+                case '62F':
+                case '62M': {
+                    // ...and the last closing balance
+                    const balance = this.parseMT940Balance(field.value);
+                    if (balance) {
+                        this.statementInfo.closingBalance = balance;
+                    }
+                    break;
+                }
+                case '61':
+                    lastTransaction = this.createTransactionFromMT940(field.value, isCreditCard);
+                    if (lastTransaction) {
+                        transactions.push(lastTransaction);
+                    }
+                    break;
+                case '86':
+                    // Information to account owner belongs to the :61: line right above it
+                    if (lastTransaction) {
+                        const info = this.cleanMT940Information(field.value);
+                        if (info) {
+                            lastTransaction.description = info;
+                        }
+                        lastTransaction = null;
+                    }
+                    break;
+                default:
+                    break;
+            }
+        }
+        
+        if (transactions.length === 0) {
+            throw new Error('No valid transaction data found in MT940 file');
+        }
+        
+        if (this.statementInfo.currency) {
+            transactions.forEach(t => { t.currency = this.statementInfo.currency; });
+        }
+        
+        this.columnMapping = null;
+        
+        console.log(' MT940 parsing completed, found', transactions.length, 'transactions');
+        return transactions;
+    }
+
+    parseMT940Balance(value) {
+        // D/C mark, YYMMDD, currency, amount with decimal comma: C240101EUR1000,00
+        const match = value.trim().match(/^([DC])(\d{2})(\d{2})(\d{2})([A-Z]{3})([\d,]+)/);
+        if (!match) return null;
+        
+        const amount = parseFloat(match[6].replace(',', '.'));
+        return {
+            amount: match[1] === 'D' ? -amount : amount,
+            currency: match[5],
+            date: `20${match[2]}-${match[3]}-${match[4]}`
+        };
+    }
+
+    createTransactionFromMT940(value, isCreditCard) {
+        // YYMMDD value date, optional MMDD entry date, (R)D/(R)C mark, optional funds code, amount,
+        // transaction type code, owner reference, optional //bank reference and supplementary details
+        const match = value.match(/^(\d{2})(\d{2})(\d{2})(\d{4})?(R?[DC])([A-Z])?(\d+,\d*)([NFS][A-Z0-9]{3})([^\n]*?)(?:\/\/([^\n]*))?(?:\n([\s\S]*))?$/);
+        if (!match) {
+            console.warn('Invalid MT940 statement line:', value);
+            return null;
+        }
+        
+        const [, year, month, day, , mark, , amountStr, typeCode, ownerReference, bankReference, supplementary] = match;
+        const date = this.makeCalendarDate(2000 + parseInt(year), parseInt(month), parseInt(day));
+        if (!date) {
+            console.warn('Invalid MT940 value date:', value);
+            return null;
+        }
+        
+        // RD (reversal of debit) is money back in, RC (reversal of credit) is money out
+        const isDebit = mark === 'D' || mark === 'RC';
+        const amount = parseFloat(amountStr.replace(',', '.'));
+        const signedAmount = isDebit ? -amount : amount;
+        
+        const reference = ownerReference && ownerReference !== 'NONREF' ? ownerReference.trim() : '';
+        const checkNumber = typeCode.substring(1) === 'CHK' && /^\d+$/.test(reference) ? reference : null;
+        
+        let type;
+        if (isCreditCard) {
+            type = isDebit ? 'debits' : 'credits';
+        } else if (checkNumber) {
+            type = 'checks';
+        } else {
+            type = isDebit ? 'debits' : 'credits';
+        }
+        
+        return {
+            date: date,
+            description: (supplementary || '').trim() || reference || 'Transaction',
+            amount: signedAmount,
+            type: type,
+            rawDate: `${year}${month}${day}`,
+            rawAmount: `${mark}${amountStr}`,
+            checkNumber: checkNumber,
+            reference: reference || (bankReference || '').trim() || null
+        };
+    }
+
+    cleanMT940Information(value) {
+        // German-style structured :86: (?20-?29 purpose, ?32-?33 counterparty name)
+        if (/\?\d{2}/.test(value)) {
+            const subfields = {};
+            value.replace(/\n/g, '').split(/\?(?=\d{2})/).slice(1).forEach(part => {
+                const code = part.substring(0, 2);
+                subfields[code] = (subfields[code] || '') + part.substring(2);
+            });
+            
+            const purpose = Object.keys(subfields)
+                .filter(code => code >= '20' && code <= '29')
+                .sort()
+                .map(code => subfields[code])
+                .join('');
+            const name = [subfields['32'], subfields['33']].filter(Boolean).join('');
+            return [name, purpose].map(part => part.trim()).filter(Boolean).join(' - ');
+        }
+        
+        return value.split('\n').map(line => line.trim()).join(' ').replace(/\s+/g, ' ').trim();
+    }
+
+    parseCSV(text) {
+        // Use the new safe parsing system
+        return this.parseCSVSafe(text);
+    }
+
+    findColumnMapping(lines) {
+        console.log(' Searching for column mapping...');
+        
+        // Search through the first 20 lines to find the best header row
+        for (let rowIndex = 0; rowIndex < Math.min(20, lines.length); rowIndex++) {
+            const line = lines[rowIndex].trim();
+            if (!line) continue;
+            
+            console.log(`Checking row ${rowIndex}:`, line.substring(0, 100) + '...');
+            
+            const headers = this.parseCSVLine(line);
+            console.log(`Headers in row ${rowIndex}:`, headers);
+            
+            // Try to find all required columns in this row
+            const dateIndex = this.findColumnIndex(headers, [
+                'date', 'transaction date', 'posting date', 'trans date', 'txn date',
+                'transaction_date', 'posting_date', 'trans_date', 'txn_date'
+            ]);
+            
+            const descriptionIndex = this.findColumnIndex(headers, [
+                'description', 'memo', 'payee', 'merchant', 'vendor', 'payee name',
+                'transaction description', 'memo description', 'payee_name', 'merchant_name'
+            ]);
+            
+            const amountIndex = this.findColumnIndex(headers, [
+                'amount', 'transaction amount', 'debit', 'credit', 'balance',
+                'transaction_amount', 'debit_amount', 'credit_amount', 'balance_amount'
+            ]);
+            
+            const typeIndex = this.findColumnIndex(headers, [
+                'type', 'transaction type', 'category', 'classification',
+                'transaction_type', 'category_type', 'classification_type'
+            ]);
+            
+            console.log(`Row ${rowIndex} - Date: ${dateIndex}, Description: ${descriptionIndex}, Amount: ${amountIndex}, Type: ${typeIndex}`);
+            
+            // If we found at least Date and Amount, this is a good header row
+            if (dateIndex !== -1 && amountIndex !== -1) {
+                console.log(` Found valid header row at line ${rowIndex}`);
+                return {
+                    headerRow: rowIndex,
+                    dateIndex: dateIndex,
+                    descriptionIndex: descriptionIndex,
+                    amountIndex: amountIndex,
+                    typeIndex: typeIndex
+                };
+            }
+        }
+        
+        console.log(' No valid header row found');
+        return null;
+    }
+
+    isHeaderRow(line) {
+        const headers = this.parseCSVLine(line);
+        const headerText = headers.join(' ').toLowerCase();
+        
+        return headerText.includes('date') && 
+               (headerText.includes('amount') || headerText.includes('debit') || headerText.includes('credit'));
+    }
+
+    parseCSVLine(line) {
+        const result = [];
+        let current = '';
+        let inQuotes = false;
+        
+        const delimiter = this.detectLineDelimiter(line);
+        
+        // console.log(` Detected delimiter: "${delimiter}" for line: ${line.substring(0, 50)}...`);
+        
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            
+            if (char === '"') {
+                inQuotes = !inQuotes;
+            } else if (char === delimiter && !inQuotes) {
+                result.push(current.trim());
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        
+        result.push(current.trim());
+        return result;
+    }
+
+    detectLineDelimiter(line) {
+        // Auto-detect delimiter (comma, semicolon, tab, pipe)
+        const delimiters = [',', ';', '\t', '|'];
+        let delimiter = ',';
+        
+        // Count occurrences of each delimiter
+        const delimiterCounts = delimiters.map(d => ({
+            char: d,
+            count: (line.match(new RegExp('\\' + d, 'g')) || []).length
+        }));
+        
+        // Choose the delimiter with the most occurrences
+        const bestDelimiter = delimiterCounts.reduce((max, current) => 
+            current.count > max.count ? current : max
+        );
+        
+        if (bestDelimiter.count > 0) {
+            delimiter = bestDelimiter.char;
+        }
+        
+        return delimiter;
+    }
+
+    findColumnIndex(headers, possibleNames) {
+        for (let i = 0; i < headers.length; i++) {
+            const header = headers[i].toLowerCase().trim();
+            for (const name of possibleNames) {
+                if (header.includes(name.toLowerCase())) {
+                    return i;
+                }
+            }
+        }
+        return -1;
+    }
+
+    createTransactionFromRow(row, dateIndex, descriptionIndex, amountIndex, typeIndex) {
+        try {
+            // Parse date
+            const dateStr = row[dateIndex];
+            const date = this.parseDate(dateStr);
+            if (!date) {
+                console.warn('Invalid date:', dateStr);
+                return null;
+            }
+            
+            // Parse amount
+            const amountStr = row[amountIndex];
+            const amount = this.parseAmount(amountStr);
+            if (amount === null) {
+                console.warn('Invalid amount:', amountStr);
+                return null;
+            }
+            
+            // Get description
+            const description = descriptionIndex !== -1 ? row[descriptionIndex] : 'Transaction';
+            
+            // Determine type
+            let type = 'debits'; // default
+            if (typeIndex !== -1 && row[typeIndex] !== undefined) {
+                const typeStr = String(row[typeIndex]).toLowerCase();
+                if (typeStr.includes('credit') || typeStr.includes('deposit') || typeStr.includes('payment')) {
+                    type = 'credits';
+                } else if (typeStr.includes('check')) {
+                    type = 'checks';
+                } else if (typeStr.includes('debit') || typeStr.includes('purchase') || typeStr.includes('withdrawal')) {
+                    type = 'debits';
+                }
+            } else {
+                // Auto-detect type based on amount
+                if (amount < 0) {
+                    type = 'credits';
+                } else {
+                    type = 'debits';
+                }
+            }
+            
+            return {
+                date: date,
+                description: description,
+                amount: amount,
+                type: type
+            };
+        } catch (error) {
+            console.warn('Error creating transaction from row:', row, error);
+            return null;
+        }
+    }
+
+    parseDate(dateStr) {
+        try {
+            // Handle various date formats
+            const date = new Date(dateStr);
+            if (isNaN(date.getTime())) {
+                // Try MM/DD/YYYY format
+                const parts = dateStr.split('/');
+                if (parts.length === 3) {
+                    const month = parseInt(parts[0]);
+                    const day = parseInt(parts[1]);
+                    let year = parseInt(parts[2]);
+                    
+                    if (year < 100) {
+                        year += year < 50 ? 2000 : 1900;
+                    }
+                    
+                    return new Date(year, month - 1, day);
+                }
+            }
+            return date;
+        } catch (error) {
+            console.warn('Error parsing date:', dateStr);
+            return null;
+        }
+    }
+
+    parseAmount(amountStr) {
+        try {
+            // Handle empty or non-numeric strings
+            if (!amountStr || typeof amountStr !== 'string') {
+                return null;
+            }
+            
+            // Remove currency symbols, commas, and extra spaces
+            const cleanAmount = amountStr.replace(/[$,\s]/g, '');
+            
+            // Check if it's a valid number
+            if (!/^-?\d*\.?\d+$/.test(cleanAmount)) {
+                return null;
+            }
+            
+            const amount = parseFloat(cleanAmount);
+            return isNaN(amount) ? null : amount;
+        } catch (error) {
+            console.warn('Error parsing amount:', amountStr);
+            return null;
+        }
+    }
+
+    getBankDisplayName(bankValue) {
+        const bankMappings = {
+            'chase': 'Chase',
+            'bank-of-america': 'BoA',
+            'wells-fargo': 'WF',
+            'capital-one': 'CapitalOne',
+            'american-express': 'Amex',
+            'auto': 'Unknown Bank'
+        };
+        
+        return bankMappings[bankValue] || this.capitalizeFirst(bankValue.replace(/-/g, ' '));
+    }
+
+    getAccountTypeLabel(accountType) {
+        const typeLabels = {
+            'checking': 'Checking',
+            'savings': 'Savings',
+            'credit-card': 'Credit Card'
+        };
+        
+        return typeLabels[accountType] || accountType;
+    }
+
+    getCountingPolicy(accountType) {
+        // The account type question uses checking/savings/credit-card; counting runs the 'cash' or 'credit' policy
+        const policies = {
+            'checking': 'cash',
+            'savings': 'cash',
+            'cash': 'cash',
+            'credit-card': 'credit',
+            'credit': 'credit'
+        };
+        
+        return policies[accountType] || null;
+    }
+
+    isCreditCardView() {
+        // Tables follow the policy the counts were made with, which a file can declare (QIF !Type:CCard)
+        return this.accountType ? this.accountType === 'credit' : this.selectedAccountType === 'credit-card';
+    }
+
+    getAccountTypeAbbreviation(accountType) {
+        const typeMappings = {
+            'checking': 'ck',
+            'savings': 'sav',
+            'credit-card': 'cc'
+        };
+        
+        return typeMappings[accountType] || accountType;
+    }
+
+    displayResults() {
+        const resultsSection = document.getElementById('resultsSection');
+        resultsSection.style.display = 'block';
+
+        // Only display results if we have valid transactions
+        if (this.transactions && this.transactions.length > 0) {
+            // Clear any existing error content first
+            const accountType = this.selectedAccountType || 'cash'; // Default to cash if not selected
+            const isCreditCard = this.isCreditCardView();
+            const bankName = this.getBankDisplayName(this.selectedBank);
+            const accountTypeAbbr = this.getAccountTypeAbbreviation(accountType);
+            const lastFour = this.lastFourDigits || '****';
+            const headerTitle = `${bankName} ${accountTypeAbbr}${lastFour}`;
+            
+            // Excluded pending rows get their own column so the counts can be traced back to the file
+            const showPending = this.splitPendingTransactions(this.transactions).pendingExcluded.length > 0;
+            const pendingHeader = showPending ? '<th>Pending Excluded</th>' : '';
+            
+            // Determine column headers based on account type
+            let columnHeaders = '';
+            if (isCreditCard) {
+                columnHeaders = `
+                    <tr class="table-title-row">
+                        <th colspan="${showPending ? 5 : 4}">${headerTitle}</th>
+                    </tr>
+                    <tr>
+                        <th>Month</th>
+                        <th>Charges</th>
+                        <th>Payments</th>
+                        <th>Totals</th>
+                        ${pendingHeader}
+                    </tr>
+                `;
+            } else {
+                columnHeaders = `
+                    <tr class="table-title-row">
+                        <th colspan="${showPending ? 6 : 5}">${headerTitle}</th>
+                    </tr>
+                    <tr>
+                        <th>Month</th>
+                        <th>Debits</th>
+                        <th>Credits</th>
+                        <th>Checks</th>
+                        <th>Totals</th>
+                        ${pendingHeader}
+                    </tr>
+                `;
+            }
+            
+            resultsSection.innerHTML = `
+                <h2>Transaction Analysis</h2>
+                
+                <!-- Summary Table -->
+                <div class="summary-section">
+                    <h3>Monthly Transaction Counts</h3>
+                    <table class="summary-table" id="summaryTable">
+                        <thead>
+                            ${columnHeaders}
+                        </thead>
+                        <tbody id="summaryTableBody">
+                        </tbody>
+                    </table>
+                </div>
+
+                <!-- Toggle Button for Detailed View -->
+                <div class="toggle-section" style="text-align: center; margin: 20px 0;">
+                    <button class="toggle-details-btn" id="toggleDetailsBtn"> View Detailed Transactions</button>
+                </div>
+
+                <!-- Detailed Transactions Table (Hidden by default) -->
+                <div class="transactions-section" id="transactionsSection" style="display: none;">
+                    <h3>All Transactions</h3>
+                    <div class="table-controls">
+                        <input type="text" id="searchInput" placeholder="Search transactions..." class="search-input">
+                        <select id="typeFilter" class="type-filter">
+                            <option value="">All Types</option>
+                            ${isCreditCard ? 
+                                '<option value="charges">Charge</option><option value="payments">Payment</option>' :
+                                '<option value="checks">Checks</option><option value="debits">Debits</option><option value="credits">Credits</option>'
+                            }
+                        </select>
+                        <select id="categoryFilter" class="type-filter">
+                            <option value="">All Categories</option>
+                            ${this.getCategoryNames().filter(category => this.transactions.some(t => t.category === category))
+                                .map(category => `<option value="${this.escapeHtml(category)}">${this.escapeHtml(category)}</option>`).join('')}
+                        </select>
+                    </div>
+                    <table class="transactions-table" id="transactionsTable">
+                        <thead>
+                            <tr>
+                                <th class="sortable" data-column="date">Date</th>
+                                <th class="sortable" data-column="description">Description</th>
+                                <th class="sortable" data-column="amount">Amount</th>
+                                <th class="sortable" data-column="checkNumber">Check #</th>
+                                <th class="sortable" data-column="type">Type</th>
+                                <th class="sortable" data-column="category">Category</th>
+                            </tr>
+                        </thead>
+                        <tbody id="transactionsTableBody">
+                        </tbody>
+                    </table>
+                </div>
+
+                <div class="action-buttons">
+                    <button class="download-table-btn" id="downloadTableBtn">Download Table as Image</button>
+                    <button class="download-table-btn" id="downloadTableSpreadsheetBtn">Download Table as Spreadsheet</button>
+                    <button class="download-table-btn" id="addAccountBtn">Add Another Account</button>
+                    <button class="reset-btn" id="resetBtn">Analyze Another Statement</button>
+                </div>
+            `;
+            
+            // Re-attach event listeners
+            this.attachEventListeners();
+            
+            // Debug: Check if download button exists
+            setTimeout(() => {
+                const downloadBtn = document.getElementById('downloadTableBtn');
+                console.log('Download button found:', downloadBtn);
+                if (downloadBtn) {
+                    console.log('Download button is visible:', downloadBtn.offsetParent !== null);
+                    console.log('Download button parent:', downloadBtn.parentElement);
+                }
+            }, 100);
+            
+            this.displayBankDetection();
+            this.displayAccountTypeCheck();
+            this.displayColumnDetection();
+            this.displayBankProfile();
+            this.displaySheetSelector();
+            this.displayPendingToggle();
+            this.displayTransferMatches();
+            this.displayDateOrder();
+            this.displayParsingConfidence();
+            // this.displayDiagnostics(); // Hidden as requested
+            this.displayStatementInfo();
+            this.displaySummary();
+            this.displayCategoryBreakdown();
+            this.displayBalanceCheck();
+            this.displayClassificationRules();
+            // this.displayTransactions(); // Only show when user clicks toggle
+            this.displayDebugInfo();
+        } else {
+            // Show error message instead of false positives
+            this.displayErrorState();
+        }
+    }
+
+    displayColumnDetection() {
+        // Add a section to show which columns were detected
+        const resultsSection = document.getElementById('resultsSection');
+        
+        // Check if column detection info already exists
+        let detectionInfo = document.getElementById('columnDetectionInfo');
+        if (detectionInfo) {
+            detectionInfo.remove();
+        }
+        
+        const mapping = this.columnMapping;
+        const amountItems = mapping && mapping.amountLayout === 'debit-credit' ? [
+            ['Debit Column', mapping.debitIndex],
+            ['Credit Column', mapping.creditIndex]
+        ] : [['Amount Column', mapping ? mapping.amountIndex : -1]];
+        const optionalItems = mapping ? [
+            ['Check Number Column', mapping.checkIndex],
+            ['Status Column', mapping.statusIndex],
+            ['Balance Column', mapping.balanceIndex],
+            ['Currency Column', mapping.currencyIndex]
+        ].filter(([, index]) => index !== undefined && index !== -1) : [];
+        const items = [
+            ['Date Column', mapping ? mapping.dateIndex : -1],
+            ['Description Column', mapping ? mapping.descriptionIndex : -1],
+            ...amountItems
+        ].map(([label, index]) => [label, this.describeMappedColumn(index)]);
+        items.push(['Amount Layout', this.getAmountLayoutLabel()]);
+        if (mapping && mapping.signConvention === 'inverted') {
+            items.push(['Amount Signs', 'Positive amounts are money out']);
+        }
+        items.push(['Type Column', mapping && mapping.typeIndex !== -1 ? this.describeMappedColumn(mapping.typeIndex) : 'Auto-detected from amounts']);
+        optionalItems.forEach(([label, index]) => items.push([label, this.describeMappedColumn(index)]));
+        
+        // How the file itself was read (the diagnostics panel that used to show this is hidden)
+        if (this.parsingFlags.encoding) {
+            items.push(['Text Encoding', this.parsingFlags.encoding.toUpperCase()]);
+        }
+        if (this.parsingFlags.delimiter) {
+            items.push(['Delimiter', this.getDelimiterName(this.parsingFlags.delimiter)]);
+        }
+        const amountNotations = Object.entries(this.getAmountNotationSummary(this.transactions))
+            .map(([notation, count]) => `${notation.replace(/-/g, ' ')} (${count})`);
+        if (amountNotations.length > 0) {
+            items.push(['Amount Notation', amountNotations.join(', ')]);
+        }
+        const foreignRows = this.getForeignCurrencyTransactions(this.transactions).length;
+        if (foreignRows > 0) {
+            items.push(['Other Currencies', `${foreignRows} row${foreignRows === 1 ? '' : 's'} not in ${this.getBaseCurrency()}`]);
+        }
+        
+        const canEdit = Boolean(this.rawTable && mapping);
+        
+        detectionInfo = document.createElement('div');
+        detectionInfo.id = 'columnDetectionInfo';
+        detectionInfo.className = 'column-detection';
+        detectionInfo.innerHTML = `
+            <h3> Column Detection Results</h3>
+            <div class="detection-grid">
+                ${items.map(([label, value]) => `
+                    <div class="detection-item">
+                        <span class="detection-label">${label}:</span>
+                        <span class="detection-value">${value}</span>
+                    </div>
+                `).join('')}
+            </div>
+            <p class="detection-note">${this.getColumnDetectionNote()}</p>
+            ${canEdit ? `
+                <div class="table-controls">
+                    <button class="toggle-details-btn" id="editColumnMappingBtn">${this.showMappingEditor ? 'Hide Column Mapping' : 'Edit Column Mapping'}</button>
+                </div>
+            ` : ''}
+        `;
+        
+        // Insert before the summary section
+        const summarySection = resultsSection.querySelector('.summary-section');
+        resultsSection.insertBefore(detectionInfo, summarySection);
+        
+        if (canEdit) {
+            document.getElementById('editColumnMappingBtn').addEventListener('click', this.toggleColumnMappingEditor.bind(this));
+            if (this.showMappingEditor) {
+                this.displayColumnMappingEditor(summarySection);
+            }
+        }
+    }
+
+    describeMappedColumn(index) {
+        // Header text and position of a mapped column, so a wrong pick is visible at a glance
+        if (!this.columnMapping) {
+            return 'Read from the statement fields';
+        }
+        if (index === undefined || index === -1) {
+            return 'Not mapped';
+        }
+        
+        const headerRow = this.rawTable && this.columnMapping.headerRow >= 0 ? this.rawTable.rows[this.columnMapping.headerRow] : null;
+        const header = headerRow ? this.cellText(headerRow[index]).trim() : '';
+        return header ? `"${this.escapeHtml(header)}" (column ${index + 1})` : `Column ${index + 1}`;
+    }
+
+    toggleColumnMappingEditor() {
+        this.showMappingEditor = !this.showMappingEditor;
+        this.displayResults();
+    }
+
+    getColumnRoles() {
+        // Editor roles and the column mapping field each one fills
+        return [
+            { value: 'date', label: 'Date', field: 'dateIndex' },
+            { value: 'description', label: 'Description', field: 'descriptionIndex' },
+            { value: 'amount', label: 'Amount (signed)', field: 'amountIndex' },
+            { value: 'debit', label: 'Debit', field: 'debitIndex' },
+            { value: 'credit', label: 'Credit', field: 'creditIndex' },
+            { value: 'type', label: 'Type', field: 'typeIndex' },
+            { value: 'check', label: 'Check Number', field: 'checkIndex' },
+            { value: 'status', label: 'Status', field: 'statusIndex' },
+            { value: 'balance', label: 'Balance', field: 'balanceIndex' },
+            { value: 'currency', label: 'Currency', field: 'currencyIndex' }
+        ];
+    }
+
+    getColumnRole(mapping, columnIndex) {
+        if (!mapping) return '';
+        const layoutFields = mapping.amountLayout === 'debit-credit' ? ['amountIndex'] : ['debitIndex', 'creditIndex'];
+        const role = this.getColumnRoles().find(role => 
+            !layoutFields.includes(role.field) && mapping[role.field] === columnIndex
+        );
+        return role ? role.value : '';
+    }
+
+    displayColumnMappingEditor(beforeElement) {
+        const resultsSection = document.getElementById('resultsSection');
+        
+        let editor = document.getElementById('columnMappingEditor');
+        if (editor) {
+            editor.remove();
+        }
+        
+        const rows = this.rawTable.rows;
+        const mapping = this.columnMapping;
+        const headerRow = mapping ? mapping.headerRow : -1;
+        
+        // The first rows of the file, wide enough for its widest row
+        const previewRows = rows.slice(0, Math.max(10, headerRow + 6));
+        const columnCount = Math.min(30, Math.max(0, ...previewRows.map(row => row.length)));
+        const columns = Array.from({ length: columnCount }, (_, index) => index);
+        
+        const rowText = (row) => row.map(cell => this.cellText(cell).trim()).filter(Boolean).join(' | ');
+        const headerOptions = rows.slice(0, 20).map((row, index) => {
+            const text = rowText(row);
+            const preview = text.length > 50 ? `${text.slice(0, 50)}...` : text;
+            return `<option value="${index}" ${headerRow === index ? 'selected' : ''}>Row ${index + 1}: ${this.escapeHtml(preview)}</option>`;
+        }).join('');
+        
+        const roleSelects = columns.map(index => {
+            const current = this.getColumnRole(mapping, index);
+            const options = this.getColumnRoles().map(role => 
+                `<option value="${role.value}" ${current === role.value ? 'selected' : ''}>${role.label}</option>`
+            ).join('');
+            return `
+                <th>
+                    <select class="column-role-select" data-column="${index}">
+                        <option value="">Ignore</option>
+                        ${options}
+                    </select>
+                </th>
+            `;
+        }).join('');
+        
+        const previewBody = previewRows.map((row, rowIndex) => `
+            <tr class="${rowIndex === headerRow ? 'mapping-header-row' : ''}">
+                ${columns.map(index => `<td>${this.escapeHtml(this.cellText(row[index]).trim())}</td>`).join('')}
+            </tr>
+        `).join('');
+        
+        editor = document.createElement('div');
+        editor.id = 'columnMappingEditor';
+        editor.className = 'column-detection';
+        editor.innerHTML = `
+            <h3> Column Mapping</h3>
+            <div class="table-controls">
+                <label for="headerRowSelect">Header row:</label>
+                <select id="headerRowSelect" class="type-filter">
+                    <option value="-1" ${headerRow === -1 ? 'selected' : ''}>No header row</option>
+                    ${headerOptions}
+                </select>
+                <label for="signConventionSelect">Amount signs:</label>
+                <select id="signConventionSelect" class="type-filter">
+                    <option value="standard">Negative amounts are money out</option>
+                    <option value="inverted" ${mapping && mapping.signConvention === 'inverted' ? 'selected' : ''}>Positive amounts are money out</option>
+                </select>
+            </div>
+            <div class="mapping-preview">
+                <table class="transactions-table mapping-table">
+                    <thead><tr>${roleSelects}</tr></thead>
+                    <tbody>${previewBody}</tbody>
+                </table>
+            </div>
+            <p class="detection-note" id="columnMappingNote">Pick the role of each column and the row holding the headers; the analysis re-runs as soon as a mapping has a Date column and an Amount (or Debit/Credit) column.</p>
+        `;
+        
+        resultsSection.insertBefore(editor, beforeElement);
+        
+        document.getElementById('headerRowSelect').addEventListener('change', this.handleColumnMappingChange.bind(this));
+        document.getElementById('signConventionSelect').addEventListener('change', this.handleColumnMappingChange.bind(this));
+        editor.querySelectorAll('.column-role-select').forEach(select => {
+            select.addEventListener('change', this.handleColumnMappingChange.bind(this));
+        });
+    }
+
+    readColumnMappingEditor(editor) {
+        const mapping = {
+            headerRow: parseInt(document.getElementById('headerRowSelect').value, 10),
+            amountLayout: null,
+            signConvention: document.getElementById('signConventionSelect').value
+        };
+        this.getColumnRoles().forEach(role => { mapping[role.field] = -1; });
+        
+        editor.querySelectorAll('.column-role-select').forEach(select => {
+            const role = this.getColumnRoles().find(role => role.value === select.value);
+            if (role) {
+                mapping[role.field] = parseInt(select.dataset.column, 10);
+            }
+        });
+        
+        // A signed Amount column wins over a Debit/Credit pair
+        if (mapping.amountIndex !== -1) {
+            mapping.amountLayout = 'signed';
+        } else if (mapping.debitIndex !== -1 || mapping.creditIndex !== -1) {
+            mapping.amountLayout = 'debit-credit';
+        }
+        return mapping;
+    }
+
+    handleColumnMappingChange(e) {
+        const editor = document.getElementById('columnMappingEditor');
+        const note = document.getElementById('columnMappingNote');
+        
+        // Each role belongs to one column, so picking it again moves it
+        if (e.target.classList.contains('column-role-select') && e.target.value) {
+            editor.querySelectorAll('.column-role-select').forEach(select => {
+                if (select !== e.target && select.value === e.target.value) {
+                    select.value = '';
+                }
+            });
+        }
+        
+        const mapping = this.readColumnMappingEditor(editor);
+        if (mapping.dateIndex === -1 || !mapping.amountLayout) {
+            note.textContent = 'Pick a Date column and an Amount (or Debit and Credit) column to re-run the analysis.';
+            return;
+        }
+        
+        try {
+            this.applyManualColumnMapping(mapping);
+        } catch (error) {
+            console.error(' Manual column mapping failed:', error);
+            note.textContent = `No transactions could be read with this mapping: ${error.message}`;
+        }
+    }
+
+    applyManualColumnMapping(mapping) {
+        // Re-run the row pipeline with the user's mapping instead of the detected one
+        this.resetDateOrderFlags();
+        this.statementInfo = {};
+        
+        const sheets = this.activeSheetSelection === 'merged' ?
+            this.workbookSheets.filter(sheet => this.mergedSheetNames.includes(sheet.name)) :
+            this.workbookSheets.filter(sheet => sheet.name === this.activeSheetSelection);
+        const rawTable = this.rawTable;
+        const sheetStatementInfo = [];
+        const sheetDateOrders = [];
+        const sheetTransactions = sheets.map(sheet => {
+            this.statementInfo = {};
+            this.resetDateOrderFlags();
+            const transactions = this.parseRowsSafe(sheet.rows, null, mapping);
+            transactions.forEach(t => { t.sheet = sheet.name; });
+            sheetStatementInfo.push(this.statementInfo);
+            sheetDateOrders.push(this.getSheetDateOrder());
+            return transactions;
+        });
+        const transactions = sheets.length > 0 ?
+            sheetTransactions.flat() :
+            this.parseRowsSafe(rawTable.rows, rawTable.lineNumbers, mapping);
+        this.rawTable = rawTable;
+        
+        if (transactions.length === 0) {
+            throw new Error('no row has a valid date and amount in the chosen columns');
+        }
+        sheets.forEach((sheet, index) => {
+            sheet.transactions = sheetTransactions[index];
+            sheet.columnMapping = mapping;
+            sheet.statementInfo = sheetStatementInfo[index];
+            sheet.dateOrder = sheetDateOrders[index];
+        });
+        if (sheets.length > 0) {
+            this.statementInfo = this.combineSheetStatementInfo(sheets);
+            this.restoreSheetDateOrder(sheets);
+            this.applyDateOrder(transactions);
+        }
+        
+        console.log(` Manual column mapping read ${transactions.length} transactions`);
+        this.columnMapping = mapping;
+        this.parsingFlags.manualColumnMapping = true;
+        this.showMappingEditor = true;
+        this.transactions = transactions;
+        if (!this.accountType || this.accountType === 'unknown') {
+            this.accountType = this.resolveAccountPolicy(transactions);
+        }
+        this.refreshResults();
+    }
+
+    getBankFingerprints() {
+        // Header signatures are the lower-cased header cells joined with '|', as in getSheetSignature.
+        // Names are only looked for above the table (or in the header and sign-on fields of structured
+        // formats, see getStructuredHeaderText) because descriptions routinely mention other banks
+        // (e.g. "CHASE CREDIT CRD AUTOPAY" on a Wells Fargo statement). BIC prefixes cover camt/MT940 headers.
+        return [
+            { bank: 'chase', accountType: 'checking', headers: ['details|posting date|description|amount|type|balance|check or slip #'] },
+            { bank: 'chase', accountType: 'credit-card', headers: ['transaction date|post date|description|category|type|amount|memo'] },
+            { bank: 'chase', names: /\b(jpmorgan chase|chase bank)\b|<org>\s*chase\b|chasus\w*/i, descriptions: /\bORIG CO NAME:/ },
+            { bank: 'bank-of-america', accountType: 'checking', headers: ['date|description|amount|running bal.', 'description||summary amt.'] },
+            { bank: 'bank-of-america', accountType: 'credit-card', headers: ['posted date|reference number|payee|address|amount'] },
+            { bank: 'bank-of-america', names: /\bbank of america\b|<org>\s*bofa\b|bofaus\w*/i, descriptions: /\bDES:.*\bID:.*\bINDN:/ },
+            { bank: 'wells-fargo', accountType: 'checking', rowPattern: /^\d{2}\/\d{2}\/\d{4}\|-?[\d,]+\.\d{2}\|\*\|/ },
+            { bank: 'wells-fargo', names: /\bwells fargo\b|<org>\s*(wells|wf)\b|wfbius\w*/i, descriptions: /\b(PURCHASE|RECURRING PAYMENT) AUTHORIZED ON \d{2}\/\d{2}\b/ },
+            { bank: 'capital-one', accountType: 'credit-card', headers: ['transaction date|posted date|card no.|description|category|debit|credit'], dateFormat: /^\d{4}-\d{2}-\d{2}$/ },
+            { bank: 'capital-one', accountType: 'checking', headers: ['account number|transaction description|transaction date|transaction type|transaction amount|balance'] },
+            { bank: 'capital-one', names: /\bcapital one\b/i },
+            { bank: 'american-express', accountType: 'credit-card', headers: ['date|description|card member|account #|amount', 'date|description|amount|extended details|appears on your statement as|address|city/state|zip code|country|reference|category'] },
+            { bank: 'american-express', names: /\bamerican express\b|<org>\s*amex\b/i },
+            { bank: 'citibank', accountType: 'credit-card', headers: ['status|date|description|debit|credit', 'status|date|description|debit|credit|member name'] },
+            { bank: 'citibank', names: /\bcitibank\b|<org>\s*citi\b|citius\w*/i },
+            { bank: 'discover', accountType: 'credit-card', headers: ['trans. date|post date|description|amount|category'] },
+            { bank: 'discover', names: /\bdiscover (bank|card)\b|<org>\s*discover\b/i },
+            { bank: 'us-bank', accountType: 'checking', headers: ['date|transaction|name|memo|amount'] },
+            { bank: 'us-bank', names: /\bu\.?s\.? bank\b|usbkus\w*/i },
+            { bank: 'ally', accountType: 'checking', headers: ['date|time|amount|type|description'] },
+            { bank: 'ally', names: /\bally bank\b|<org>\s*ally\b/i }
+        ];
+    }
+
+    guessBank(rows, headerText = null) {
+        // Score every bank on header layout, statement text above the table, description patterns and row formats.
+        // Structured formats pass their header fields as headerText: their rows are single-cell lines, so the
+        // short-row preamble filter would also take in payee and memo lines
+        const signatures = rows.slice(0, 40).map(row => row.map(cell => this.cellText(cell).toLowerCase().trim()).join('|').replace(/\|+$/, ''));
+        const preambleText = headerText !== null ? headerText : rows.slice(0, 25)
+            .filter(row => row.filter(cell => this.cellText(cell).trim()).length < 3)
+            .map(row => row.map(cell => this.cellText(cell)).join(' '))
+            .join('\n');
+        const sampleRows = rows.slice(0, 500);
+        const rowTexts = sampleRows.map(row => row.map(cell => this.cellText(cell)).join(' '));
+        const rowSignatures = sampleRows.map(row => row.map(cell => this.cellText(cell).trim()).join('|'));
+        const cellValues = sampleRows.flatMap(row => row.map(cell => this.cellText(cell).trim()));
+        
+        const candidates = {};
+        this.getBankFingerprints().forEach(fingerprint => {
+            const candidate = candidates[fingerprint.bank] = candidates[fingerprint.bank] || 
+                { bank: fingerprint.bank, accountType: null, score: 0, evidence: [] };
+            
+            if (fingerprint.headers && fingerprint.headers.some(header => signatures.includes(header))) {
+                candidate.score += 0.6;
+                candidate.accountType = candidate.accountType || fingerprint.accountType || null;
+                candidate.evidence.push('header names and order');
+            }
+            if (fingerprint.names && fingerprint.names.test(preambleText)) {
+                candidate.score += 0.5;
+                candidate.evidence.push('bank name in the statement text');
+            }
+            if (fingerprint.descriptions && rowTexts.some(text => fingerprint.descriptions.test(text))) {
+                candidate.score += 0.3;
+                candidate.evidence.push('description patterns');
+            }
+            if (fingerprint.rowPattern && rowSignatures.filter(signature => fingerprint.rowPattern.test(signature)).length >= 2) {
+                candidate.score += 0.5;
+                candidate.accountType = candidate.accountType || fingerprint.accountType || null;
+                candidate.evidence.push('row layout');
+            }
+            if (fingerprint.dateFormat && candidate.score > 0 && cellValues.some(value => fingerprint.dateFormat.test(value))) {
+                candidate.score += 0.1;
+                candidate.evidence.push('date format');
+            }
+        });
+        
+        const ranked = Object.values(candidates).filter(candidate => candidate.score > 0).sort((a, b) => b.score - a.score);
+        if (ranked.length === 0 || ranked[0].score < 0.3) {
+            return null;
+        }
+        
+        // A close runner-up halves the confidence: the file fits two banks about equally
+        const best = ranked[0];
+        const margin = ranked.length > 1 ? best.score - ranked[1].score : best.score;
+        const confidence = Math.min(0.99, best.score) * (margin < 0.2 ? 0.5 : 1);
+        return {
+            bank: best.bank,
+            accountType: best.accountType,
+            confidence: Math.round(confidence * 100) / 100,
+            level: this.getConfidenceLevel(confidence),
+            evidence: best.evidence
+        };
+    }
+
+    getConfidenceLevel(confidence) {
+        return confidence >= 0.75 ? 'high' : (confidence >= 0.45 ? 'medium' : 'low');
+    }
+
+    detectBankFromText(text, format) {
+        // Structured formats are fingerprinted line by line; bank names only count in their header fields
+        this.detectBank(text.split(/\r?\n/).map(line => [line.trim()]), this.getStructuredHeaderText(text, format));
+    }
+
+    getStructuredHeaderText(text, format) {
+        // The fields that name the statement's own bank, never the transaction blocks (payees, memos,
+        // counterparty agents), which routinely name other banks
+        switch (format) {
+            case 'ofx':
+                // Sign-on <FI> (<ORG>, <FID>) and the account's <BANKID>
+                return (text.match(/<(ORG|FID|BANKID)>[^<\r\n]*/gi) || []).join('\n');
+            case 'qif': {
+                // Only an !Account block names the account; payee (P) lines are transactions
+                const accountBlock = text.match(/^!Account[^\n]*\n([\s\S]*?)^\^/im);
+                return accountBlock ? accountBlock[1] : '';
+            }
+            case 'camt':
+                // The account servicer (<Svcr>) carries the bank's name and BIC
+                return (text.match(/<(\w+:)?Svcr>[\s\S]*?<\/(\w+:)?Svcr>/g) || [])
+                    .map(block => block.replace(/<[^>]+>/g, ' ')).join('\n');
+            case 'mt940':
+                // Basic/application header blocks (sender BIC) and the :25: account identification
+                return (text.match(/\{[12]:[^}]*\}|^:25:.*$/gm) || []).join('\n');
+            default:
+                return null;
+        }
+    }
+
+    detectBank(rows, headerText = null) {
+        const guess = this.guessBank(rows, headerText);
+        if (!guess || (this.bankGuess && this.bankGuess.confidence >= guess.confidence)) return;
+        
+        console.log(` File looks like ${guess.bank}${guess.accountType ? ` ${guess.accountType}` : ''} (${guess.level} confidence, ${guess.evidence.join(', ')})`);
+        this.bankGuess = guess;
+        
+        // "Detect automatically" answers are filled in when the guess is at least medium confidence
+        if (guess.level === 'low') return;
+        if (this.detectBankAutomatically) {
+            this.selectedBank = guess.bank;
+            this.prefillBankQuestions();
+        }
+        if (this.detectAccountTypeAutomatically && guess.accountType) {
+            this.selectedAccountType = guess.accountType;
+            this.prefillBankQuestions();
+        }
+    }
+
+    prefillBankQuestions() {
+        const bankDropdown = document.getElementById('bankDropdown');
+        const accountTypeDropdown = document.getElementById('accountTypeDropdown');
+        if (bankDropdown && this.selectedBank) bankDropdown.value = this.selectedBank;
+        if (accountTypeDropdown && this.selectedAccountType) accountTypeDropdown.value = this.selectedAccountType;
+    }
+
+    getBankOptionLabel(bank) {
+        // Full name from the bank question, e.g. "Chase Bank"
+        const option = Array.from(document.querySelectorAll('#bankDropdown option')).find(option => option.value === bank);
+        return option ? option.textContent.trim() : this.getBankDisplayName(bank);
+    }
+
+    async applyBankGuess() {
+        const previousPolicy = this.accountType;
+        this.selectedBank = this.bankGuess.bank;
+        this.detectBankAutomatically = false;
+        if (this.bankGuess.accountType) {
+            this.selectedAccountType = this.bankGuess.accountType;
+            this.detectAccountTypeAutomatically = false;
+        }
+        this.prefillBankQuestions();
+        
+        // As in applyAccountTypeGuess: a guess that changes the counting policy reads the file again
+        const policy = this.parsingFlags.declaredAccountType || this.getCountingPolicy(this.selectedAccountType) || previousPolicy;
+        if (policy !== previousPolicy && this.currentFile) {
+            await this.processFile(this.currentFile);
+            return;
+        }
+        this.accountType = policy;
+        this.refreshResults();
+    }
+
+    displayAccountTypeCheck() {
+        const resultsSection = document.getElementById('resultsSection');
+        
+        let accountTypeInfo = document.getElementById('accountTypeInfo');
+        if (accountTypeInfo) {
+            accountTypeInfo.remove();
+        }
+        
+        const guess = this.accountTypeGuess;
+        const disagrees = this.hasAccountTypeDisagreement();
+        if (!guess || (!disagrees && !this.detectAccountTypeAutomatically)) return;
+        
+        const selectedLabel = this.getAccountTypeLabel(this.selectedAccountType);
+        const guessLabel = this.getAccountTypeLabel(guess.accountType);
+        const guessPolicy = this.parsingFlags.declaredAccountType || this.getCountingPolicy(guess.accountType);
+        const showPreview = disagrees && !this.accountTypeConfirmed && guessPolicy !== this.accountType;
+        
+        let note;
+        if (!disagrees) {
+            note = `The account type was filled in from the data as ${guessLabel}.`;
+        } else if (showPreview) {
+            note = `You selected ${selectedLabel}, but the data looks like ${guessLabel}. The two are counted differently, so compare both before keeping the counts below.`;
+        } else if (this.accountTypeConfirmed) {
+            note = `You kept ${selectedLabel}.`;
+        } else {
+            note = `You selected ${selectedLabel}, but the data looks like ${guessLabel}. Both are counted the same way.`;
+        }
+        
+        accountTypeInfo = document.createElement('div');
+        accountTypeInfo.id = 'accountTypeInfo';
+        accountTypeInfo.className = 'column-detection';
+        accountTypeInfo.innerHTML = `
+            <h3> Account Type</h3>
+            <div class="detection-grid">
+                <div class="detection-item">
+                    <span class="detection-label">Data Looks Like:</span>
+                    <span class="detection-value">${guessLabel} (${guess.level} confidence, ${Math.round(guess.confidence * 100)}%)</span>
+                </div>
+                <div class="detection-item">
+                    <span class="detection-label">Based On:</span>
+                    <span class="detection-value">${this.escapeHtml(guess.evidence.join(', '))}</span>
+                </div>
+            </div>
+            ${showPreview ? this.createPolicyPreview(selectedLabel, guessLabel, guessPolicy) : ''}
+            ${disagrees && !this.accountTypeConfirmed ? `
+                <div class="table-controls">
+                    <button class="toggle-details-btn" id="keepAccountTypeBtn">Keep ${selectedLabel}</button>
+                    <button class="toggle-details-btn" id="useAccountTypeGuessBtn">Switch to ${guessLabel}</button>
+                </div>
+            ` : ''}
+            <p class="detection-note">${note}</p>
+        `;
+        
+        const summarySection = resultsSection.querySelector('.summary-section');
+        resultsSection.insertBefore(accountTypeInfo, summarySection);
+        
+        const keepBtn = document.getElementById('keepAccountTypeBtn');
+        const switchBtn = document.getElementById('useAccountTypeGuessBtn');
+        if (keepBtn) keepBtn.addEventListener('click', this.confirmAccountType.bind(this));
+        if (switchBtn) switchBtn.addEventListener('click', this.applyAccountTypeGuess.bind(this));
+    }
+
+    createPolicyPreview(selectedLabel, guessLabel, guessPolicy) {
+        // The same rows counted under both policies, side by side
+        const policyRows = (policy) => {
+            const counts = policy === 'credit' ? 
+                this.countCreditTransactions(this.transactions) : 
+                this.countCashTransactions(this.transactions);
+            const lines = policy === 'credit' ?
+                [['Charges', counts.charges], ['Payments', counts.payments], ['Refunds', counts.refunds]] :
+                [['Debits', counts.debits], ['Credits', counts.credits], ['Checks', counts.checks]];
+            lines.push(['Total', counts.total]);
+            return lines;
+        };
+        const table = (label, policy) => `
+            <table class="summary-table policy-preview-table">
+                <thead><tr><th colspan="2">As ${label}</th></tr></thead>
+                <tbody>${policyRows(policy).map(([name, count]) => `<tr><td>${name}</td><td>${count}</td></tr>`).join('')}</tbody>
+            </table>
+        `;
+        
+        return `
+            <div class="policy-preview">
+                ${table(selectedLabel, this.accountType)}
+                ${table(guessLabel, guessPolicy)}
+            </div>
+        `;
+    }
+
+    confirmAccountType() {
+        this.accountTypeConfirmed = true;
+        this.displayResults();
+    }
+
+    async applyAccountTypeGuess() {
+        const previousPolicy = this.accountType;
+        this.selectedAccountType = this.accountTypeGuess.accountType;
+        this.detectAccountTypeAutomatically = false;
+        this.prefillBankQuestions();
+        
+        // Row types are decided while parsing (card rows default to charges), so a policy change reads the file again
+        const policy = this.parsingFlags.declaredAccountType || this.getCountingPolicy(this.selectedAccountType);
+        if (policy !== previousPolicy && this.currentFile) {
+            await this.processFile(this.currentFile);
+            return;
+        }
+        this.accountType = policy;
+        this.refreshResults();
+    }
+
+    displayBankDetection() {
+        const resultsSection = document.getElementById('resultsSection');
+        
+        let detectionInfo = document.getElementById('bankDetectionInfo');
+        if (detectionInfo) {
+            detectionInfo.remove();
+        }
+        
+        const guess = this.bankGuess;
+        if (!guess && !this.detectBankAutomatically) return;
+        
+        const guessLabel = guess ? `${this.getBankOptionLabel(guess.bank)}${guess.accountType ? ` ${this.getAccountTypeLabel(guess.accountType)}` : ''}` : '';
+        const matchesAnswers = guess && guess.bank === this.selectedBank && (!guess.accountType || guess.accountType === this.selectedAccountType);
+        
+        let note;
+        if (!guess) {
+            note = 'The bank could not be recognised from this file. Pick it on the account information page to use a saved bank profile.';
+        } else if (matchesAnswers) {
+            note = this.detectBankAutomatically ? 'Your account information answers were filled in from this file.' : 'Matches the bank you selected.';
+        } else if (this.selectedBank && this.selectedBank !== 'auto') {
+            note = `You selected ${this.escapeHtml(this.getBankOptionLabel(this.selectedBank))}, but the file looks like ${this.escapeHtml(guessLabel)}.`;
+        } else {
+            note = 'The guess is not confident enough to be used automatically.';
+        }
+        
+        detectionInfo = document.createElement('div');
+        detectionInfo.id = 'bankDetectionInfo';
+        detectionInfo.className = 'column-detection';
+        detectionInfo.innerHTML = `
+            <h3> Bank Detection</h3>
+            ${guess ? `
+                <div class="detection-grid">
+                    <div class="detection-item">
+                        <span class="detection-label">Looks Like:</span>
+                        <span class="detection-value">${this.escapeHtml(guessLabel)}</span>
+                    </div>
+                    <div class="detection-item">
+                        <span class="detection-label">Confidence:</span>
+                        <span class="detection-value">${this.capitalizeFirst(guess.level)} (${Math.round(guess.confidence * 100)}%)</span>
+                    </div>
+                    <div class="detection-item">
+                        <span class="detection-label">Based On:</span>
+                        <span class="detection-value">${guess.evidence.join(', ')}</span>
+                    </div>
+                </div>
+            ` : ''}
+            ${guess && !matchesAnswers ? `
+                <div class="table-controls">
+                    <button class="toggle-details-btn" id="useBankGuessBtn">Use ${this.escapeHtml(guessLabel)}</button>
+                </div>
+            ` : ''}
+            <p class="detection-note">${note}</p>
+        `;
+        
+        const summarySection = resultsSection.querySelector('.summary-section');
+        resultsSection.insertBefore(detectionInfo, summarySection);
+        
+        const useBtn = document.getElementById('useBankGuessBtn');
+        if (useBtn) {
+            useBtn.addEventListener('click', this.applyBankGuess.bind(this));
+        }
+    }
+
+    getBankProfileKey(bank = this.selectedBank, accountType = this.selectedAccountType) {
+        // Nothing is saved under "Detect automatically" until the file has been recognised
+        return bank && accountType && bank !== 'auto' && accountType !== 'auto' ? `${bank}|${accountType}` : null;
+    }
+
+    getBankProfileLabel(bank = this.selectedBank, accountType = this.selectedAccountType) {
+        return `${bank ? this.getBankDisplayName(bank) : 'Unknown bank'} ${accountType ? this.getAccountTypeLabel(accountType) : ''}`.trim();
+    }
+
+    readStorage(key) {
+        // Storage can be unavailable (private browsing, file:// pages) or hold a corrupt value
+        try {
+            return JSON.parse(localStorage.getItem(key) || 'null');
+        } catch (error) {
+            console.warn(` Could not read ${key}:`, error.message);
+            return null;
+        }
+    }
+
+    writeStorage(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+            return true;
+        } catch (error) {
+            console.warn(` Could not save ${key}:`, error.message);
+            return false;
+        }
+    }
+
+    loadBankProfiles() {
+        const stored = this.readStorage(this.profileStorageKey);
+        return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+    }
+
+    storeBankProfiles(profiles) {
+        return this.writeStorage(this.profileStorageKey, profiles);
+    }
+
+    getBankProfile() {
+        const key = this.getBankProfileKey();
+        return key ? this.normalizeBankProfile(this.loadBankProfiles()[key]) : null;
+    }
+
+    findProfileColumnMapping(rows) {
+        // A saved profile replaces fuzzy detection when the file still has the headers it was saved with
+        const profile = this.getBankProfile();
+        if (!profile) return null;
+        
+        const mapping = { ...profile.columnMapping };
+        this.getColumnRoles().forEach(role => {
+            if (mapping[role.field] === undefined) mapping[role.field] = -1;
+        });
+        if (profile.headerSignature) {
+            // Preamble lines vary between statements, so the saved header row is looked for near the top
+            const headerRow = rows.slice(0, 40).findIndex((row, index) => 
+                this.getSheetSignature(rows, { headerRow: index }) === profile.headerSignature
+            );
+            if (headerRow === -1) {
+                if (this.parsingFlags.profileStatus !== 'applied') {
+                    this.parsingFlags.profileStatus = 'mismatch';
+                }
+                return null;
+            }
+            mapping.headerRow = headerRow;
+        } else if (!rows.some(row => row.length >= this.getRequiredColumnCount(mapping))) {
+            this.parsingFlags.profileStatus = this.parsingFlags.profileStatus || 'mismatch';
+            return null;
+        }
+        
+        console.log(` Using saved ${this.getBankProfileLabel()} profile`);
+        this.parsingFlags.profileStatus = 'applied';
+        if (profile.dateOrder) {
+            this.dateOrderOverride = profile.dateOrder;
+        }
+        return mapping;
+    }
+
+    saveBankProfile() {
+        const key = this.getBankProfileKey();
+        if (!key || !this.columnMapping || !this.rawTable) return;
+        
+        const mapping = this.columnMapping;
+        const profile = this.normalizeBankProfile({
+            bank: this.selectedBank,
+            accountType: this.selectedAccountType,
+            columnMapping: mapping,
+            headerSignature: mapping.headerRow >= 0 ? this.getSheetSignature(this.rawTable.rows, mapping) : null,
+            // An order that was only assumed is left to detection next time
+            dateOrder: this.dateOrderOverride || (this.parsingFlags.dateOrderAmbiguous ? null : this.getDateOrder()),
+            savedAt: new Date().toISOString()
+        });
+        if (!profile) return;
+        
+        const profiles = this.loadBankProfiles();
+        profiles[key] = profile;
+        const saved = this.storeBankProfiles(profiles);
+        this.displayBankProfile(saved ?
+            `Saved. The next ${this.getBankProfileLabel()} statement with these headers will skip column detection.` :
+            'The profile could not be saved because this browser blocks local storage. Export it instead.');
+    }
+
+    forgetBankProfile() {
+        const profiles = this.loadBankProfiles();
+        delete profiles[this.getBankProfileKey()];
+        this.storeBankProfiles(profiles);
+        this.displayBankProfile(`The ${this.getBankProfileLabel()} profile was removed.`);
+    }
+
+    displayBankProfile(message = null) {
+        const resultsSection = document.getElementById('resultsSection');
+        
+        let profileInfo = document.getElementById('bankProfileInfo');
+        if (profileInfo) {
+            profileInfo.remove();
+        }
+        
+        // Profiles only apply to tables read through column detection
+        if (!this.columnMapping || !this.rawTable) return;
+        
+        const key = this.getBankProfileKey();
+        const profile = this.getBankProfile();
+        const label = this.getBankProfileLabel();
+        const hasProfiles = Object.keys(this.loadBankProfiles()).length > 0;
+        
+        let note;
+        if (message) {
+            note = message;
+        } else if (!key) {
+            note = 'Pick a bank and an account type before uploading to save this mapping as a bank profile.';
+        } else if (this.parsingFlags.profileStatus === 'applied') {
+            note = `The saved ${label} profile was applied. Fix the mapping above and save again if it no longer fits.`;
+        } else if (this.parsingFlags.profileStatus === 'mismatch') {
+            note = `A ${label} profile is saved, but this file's headers don't match it, so the columns were detected automatically.`;
+        } else {
+            note = `Save the column mapping, date order, amount signs and header row so the next ${label} statement is read the same way.`;
+        }
+        
+        profileInfo = document.createElement('div');
+        profileInfo.id = 'bankProfileInfo';
+        profileInfo.className = 'column-detection';
+        profileInfo.innerHTML = `
+            <h3> Bank Profile</h3>
+            <div class="table-controls">
+                ${key ? `<button class="toggle-details-btn" id="saveProfileBtn">${profile ? 'Update' : 'Save'} ${this.escapeHtml(label)} Profile</button>` : ''}
+                ${profile ? '<button class="toggle-details-btn" id="forgetProfileBtn">Forget Profile</button>' : ''}
+                ${hasProfiles ? '<button class="toggle-details-btn" id="exportProfilesResultsBtn">Export Profiles</button>' : ''}
+            </div>
+            <p class="detection-note">${this.escapeHtml(note)}</p>
+        `;
+        
+        const detectionInfo = document.getElementById('columnDetectionInfo');
+        const anchor = document.getElementById('columnMappingEditor') || detectionInfo;
+        resultsSection.insertBefore(profileInfo, anchor ? anchor.nextSibling : resultsSection.querySelector('.summary-section'));
+        
+        const saveBtn = document.getElementById('saveProfileBtn');
+        const forgetBtn = document.getElementById('forgetProfileBtn');
+        const exportBtn = document.getElementById('exportProfilesResultsBtn');
+        if (saveBtn) saveBtn.addEventListener('click', this.saveBankProfile.bind(this));
+        if (forgetBtn) forgetBtn.addEventListener('click', this.forgetBankProfile.bind(this));
+        if (exportBtn) exportBtn.addEventListener('click', this.exportBankProfiles.bind(this));
+    }
+
+    exportBankProfiles() {
+        const profiles = Object.values(this.loadBankProfiles());
+        if (profiles.length === 0) {
+            alert('No bank profiles are saved yet. Save one from the results of an analyzed statement first.');
+            return;
+        }
+        
+        const json = JSON.stringify({ version: 1, exportedAt: new Date().toISOString(), profiles }, null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `bank-profiles-${this.toCalendarDate(new Date())}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        window.URL.revokeObjectURL(url);
+    }
+
+    async handleProfileImport(e) {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        
+        try {
+            const { imported, skipped } = this.importBankProfiles(await this.readFileAsText(file));
+            alert(`Imported ${imported} bank profile${imported === 1 ? '' : 's'}${skipped > 0 ? ` (${skipped} invalid entr${skipped === 1 ? 'y' : 'ies'} skipped)` : ''}.`);
+        } catch (error) {
+            console.error(' Profile import failed:', error);
+            alert(`Could not import bank profiles: ${error.message}`);
+        }
+    }
+
+    importBankProfiles(text) {
+        // Accepts an exported file ({ profiles: [...] }) or a bare array; imported profiles replace saved ones for the same bank and account type
+        const parsed = JSON.parse(text);
+        const entries = Array.isArray(parsed) ? parsed : (parsed && Array.isArray(parsed.profiles) ? parsed.profiles : null);
+        if (!entries) {
+            throw new Error('the file is not a bank profile export');
+        }
+        
+        const profiles = this.loadBankProfiles();
+        let imported = 0;
+        entries.forEach(entry => {
+            const profile = this.normalizeBankProfile(entry);
+            if (!profile) return;
+            profiles[this.getBankProfileKey(profile.bank, profile.accountType)] = profile;
+            imported++;
+        });
+        
+        if (imported > 0 && !this.storeBankProfiles(profiles)) {
+            throw new Error('this browser blocks local storage');
+        }
+        return { imported, skipped: entries.length - imported };
+    }
+
+    normalizeBankProfile(profile) {
+        // Returns a clean copy holding only the fields a profile uses, or null when any of them is unusable,
+        // so an imported or hand-edited profile can't carry odd values into column detection
+        const mapping = profile && profile.columnMapping;
+        if (!mapping || typeof mapping !== 'object' || typeof profile.bank !== 'string' || typeof profile.accountType !== 'string' ||
+            !this.getBankProfileKey(profile.bank, profile.accountType)) {
+            return null;
+        }
+        
+        const isIndex = (value) => Number.isInteger(value) && value >= -1;
+        const columnMapping = { headerRow: mapping.headerRow, amountLayout: mapping.amountLayout };
+        for (const role of this.getColumnRoles()) {
+            const index = mapping[role.field] === undefined ? -1 : mapping[role.field];
+            if (!isIndex(index)) return null;
+            columnMapping[role.field] = index;
+        }
+        columnMapping.signConvention = mapping.signConvention || profile.signConvention || 'standard';
+        
+        const hasAmounts = columnMapping.amountLayout === 'signed' ? columnMapping.amountIndex >= 0 :
+            columnMapping.amountLayout === 'debit-credit' && (columnMapping.debitIndex >= 0 || columnMapping.creditIndex >= 0);
+        const dateOrder = profile.dateOrder || null;
+        const headerSignature = profile.headerSignature || null;
+        if (!isIndex(columnMapping.headerRow) || columnMapping.dateIndex < 0 || !hasAmounts ||
+            !['standard', 'inverted'].includes(columnMapping.signConvention) ||
+            ![null, 'MDY', 'DMY'].includes(dateOrder) ||
+            (headerSignature !== null && typeof headerSignature !== 'string')) {
+            return null;
+        }
+        
+        return {
+            bank: profile.bank,
+            accountType: profile.accountType,
+            columnMapping,
+            headerRow: columnMapping.headerRow,
+            headerSignature,
+            dateOrder,
+            signConvention: columnMapping.signConvention,
+            savedAt: typeof profile.savedAt === 'string' ? profile.savedAt : null
+        };
+    }
 
-                <div class="action-buttons">
-                    <button class="download-table-btn" id="downloadTableBtn">Download Table as Image</button>
-                    <button class="download-table-btn" id="downloadTableSpreadsheetBtn">Download Table as Spreadsheet</button>
-                    <button class="reset-btn" id="resetBtn">Analyze Another Statement</button>
-                </div>
-            `;
-            
-            // Re-attach event listeners
-            this.attachEventListeners();
-            
-            // Debug: Check if download button exists
-            setTimeout(() => {
-                const downloadBtn = document.getElementById('downloadTableBtn');
-                console.log('Download button found:', downloadBtn);
-                if (downloadBtn) {
-                    console.log('Download button is visible:', downloadBtn.offsetParent !== null);
-                    console.log('Download button parent:', downloadBtn.parentElement);
-                }
-            }, 100);
-            
-            this.displayColumnDetection();
-            this.displayParsingConfidence();
-            // this.displayDiagnostics(); // Hidden as requested
-            this.displaySummary();
-            // this.displayTransactions(); // Only show when user clicks toggle
-            this.displayDebugInfo();
-        } else {
-            // Show error message instead of false positives
-            this.displayErrorState();
+    displaySheetSelector() {
+        const resultsSection = document.getElementById('resultsSection');
+        
+        let sheetInfo = document.getElementById('sheetSelectorInfo');
+        if (sheetInfo) {
+            sheetInfo.remove();
         }
+        
+        // Only workbooks with more than one sheet get a selector
+        if (this.workbookSheets.length < 2) return;
+        
+        const sheetOptions = this.workbookSheets.map(sheet => `
+            <option value="${this.escapeHtml(sheet.name)}" ${sheet.transactions.length === 0 ? 'disabled' : ''} ${this.activeSheetSelection === sheet.name ? 'selected' : ''}>
+                ${this.escapeHtml(sheet.name)} - ${sheet.transactions.length} transactions (score ${(sheet.score * 100).toFixed(0)}%)
+            </option>
+        `).join('');
+        const mergedOption = this.mergedSheetNames.length > 1 ? `
+            <option value="merged" ${this.activeSheetSelection === 'merged' ? 'selected' : ''}>
+                All matching sheets merged (${this.escapeHtml(this.mergedSheetNames.join(', '))})
+            </option>
+        ` : '';
+        
+        sheetInfo = document.createElement('div');
+        sheetInfo.id = 'sheetSelectorInfo';
+        sheetInfo.className = 'column-detection';
+        sheetInfo.innerHTML = `
+            <h3> Workbook Sheets</h3>
+            <div class="table-controls">
+                <select id="sheetSelector" class="type-filter">
+                    ${mergedOption}
+                    ${sheetOptions}
+                </select>
+            </div>
+            <p class="detection-note">All ${this.workbookSheets.length} sheets were scored for a transaction table. Pick another sheet to re-run the analysis on it.</p>
+        `;
+        
+        const summarySection = resultsSection.querySelector('.summary-section');
+        resultsSection.insertBefore(sheetInfo, summarySection);
+        
+        document.getElementById('sheetSelector').addEventListener('change', this.handleSheetChange.bind(this));
     }
 
-    displayColumnDetection() {
-        // Add a section to show which columns were detected
+    displayPendingToggle() {
         const resultsSection = document.getElementById('resultsSection');
         
-        // Check if column detection info already exists
-        let detectionInfo = document.getElementById('columnDetectionInfo');
-        if (detectionInfo) {
-            detectionInfo.remove();
+        let pendingInfo = document.getElementById('pendingToggleInfo');
+        if (pendingInfo) {
+            pendingInfo.remove();
         }
         
-        detectionInfo = document.createElement('div');
-        detectionInfo.id = 'columnDetectionInfo';
-        detectionInfo.className = 'column-detection';
-        detectionInfo.innerHTML = `
-            <h3> Column Detection Results</h3>
+        // Only files that mark some rows as pending get the switch
+        const pendingCount = this.transactions.filter(t => t.posted === false).length;
+        if (pendingCount === 0) return;
+        
+        const excludedCount = this.splitPendingTransactions(this.transactions).pendingExcluded.length;
+        const note = excludedCount > 0 ?
+            `${excludedCount} pending transaction${excludedCount === 1 ? ' is' : 's are'} excluded from the counts below.` :
+            `${pendingCount} pending transaction${pendingCount === 1 ? ' is' : 's are'} included in the counts below.`;
+        
+        pendingInfo = document.createElement('div');
+        pendingInfo.id = 'pendingToggleInfo';
+        pendingInfo.className = 'column-detection';
+        pendingInfo.innerHTML = `
+            <h3> Pending Transactions</h3>
+            <div class="table-controls">
+                <label>
+                    <input type="checkbox" id="includePendingToggle" ${this.includePending ? 'checked' : ''}>
+                    Include pending transactions in counts
+                </label>
+            </div>
+            <p class="detection-note">${note}</p>
+        `;
+        
+        const summarySection = resultsSection.querySelector('.summary-section');
+        resultsSection.insertBefore(pendingInfo, summarySection);
+        
+        document.getElementById('includePendingToggle').addEventListener('change', this.handlePendingToggle.bind(this));
+    }
+
+    displayStatementInfo() {
+        const resultsSection = document.getElementById('resultsSection');
+        
+        let statementPanel = document.getElementById('statementInfoPanel');
+        if (statementPanel) {
+            statementPanel.remove();
+        }
+        
+        // Only shown when the file itself names the account, period or balances
+        const info = this.statementInfo;
+        const lastFour = this.getStatementLastFour();
+        const formatBalance = (balance) => balance ? this.formatAmount(balance.amount, balance.currency || this.getBaseCurrency()) : null;
+        const items = [
+            ['Account', lastFour ? `ending in ${lastFour}` : null],
+            ['Statement Period', info.periodStart || info.periodEnd ? `${info.periodStart || '?'} to ${info.periodEnd || '?'}` : null],
+            ['Opening Balance', formatBalance(info.openingBalance)],
+            ['Closing Balance', formatBalance(info.closingBalance)],
+            ['Currency', info.currency || null]
+        ].filter(([, value]) => value);
+        if (items.length === 0) return;
+        
+        const mismatch = this.getAccountMismatchWarning();
+        
+        statementPanel = document.createElement('div');
+        statementPanel.id = 'statementInfoPanel';
+        statementPanel.className = 'column-detection';
+        statementPanel.innerHTML = `
+            <h3> Statement Details</h3>
             <div class="detection-grid">
+                ${items.map(([label, value]) => `
                 <div class="detection-item">
-                    <span class="detection-label">Date Column:</span>
-                    <span class="detection-value"> Detected</span>
-                </div>
-                <div class="detection-item">
-                    <span class="detection-label">Description Column:</span>
-                    <span class="detection-value"> Detected</span>
-                </div>
-                <div class="detection-item">
-                    <span class="detection-label">Amount Column:</span>
-                    <span class="detection-value"> Detected</span>
-                </div>
-                <div class="detection-item">
-                    <span class="detection-label">Type Column:</span>
-                    <span class="detection-value">${this.transactions.length > 0 && this.transactions[0].type ? ' Detected' : ' Auto-detected from amounts'}</span>
-                </div>
+                    <span class="detection-label">${label}:</span>
+                    <span class="detection-value">${this.escapeHtml(value)}</span>
+                </div>`).join('')}
             </div>
-            <p class="detection-note">The analyzer automatically found and mapped your spreadsheet columns using ${this.columnMapping && this.columnMapping.headerRow === -1 ? 'pattern-based detection' : 'header row detection'}.</p>
+            ${mismatch ? `<p class="detection-note account-mismatch">${this.escapeHtml(mismatch)}</p>` : ''}
         `;
         
-        // Insert before the summary section
         const summarySection = resultsSection.querySelector('.summary-section');
-        resultsSection.insertBefore(detectionInfo, summarySection);
+        resultsSection.insertBefore(statementPanel, summarySection);
+    }
+
+    displayDateOrder() {
+        const resultsSection = document.getElementById('resultsSection');
+        
+        let dateOrderInfo = document.getElementById('dateOrderInfo');
+        if (dateOrderInfo) {
+            dateOrderInfo.remove();
+        }
+        
+        // Only offered when the dates could be read either way (or the user already picked an order)
+        if (!this.parsingFlags.dateOrderAmbiguous && !this.dateOrderOverride) return;
+        
+        const detectedLabel = this.parsingFlags.dateOrder === 'DMY' ? 'DD/MM/YYYY' : 'MM/DD/YYYY';
+        const note = this.parsingFlags.dateOrderEvidence === 'day-values' ?
+            `Some dates only make sense as day-first and others only as month-first; ${detectedLabel} fits most rows.` :
+            `Every day and month in this file is 12 or lower, so the dates could be read either way. ${detectedLabel} was assumed; check the months in the summary below.`;
+        
+        dateOrderInfo = document.createElement('div');
+        dateOrderInfo.id = 'dateOrderInfo';
+        dateOrderInfo.className = 'column-detection';
+        dateOrderInfo.innerHTML = `
+            <h3> Date Format</h3>
+            <div class="table-controls">
+                <label for="dateOrderSelect">Read dates as:</label>
+                <select id="dateOrderSelect" class="type-filter">
+                    <option value="" ${!this.dateOrderOverride ? 'selected' : ''}>Automatic (${detectedLabel})</option>
+                    <option value="MDY" ${this.dateOrderOverride === 'MDY' ? 'selected' : ''}>Month first (MM/DD/YYYY)</option>
+                    <option value="DMY" ${this.dateOrderOverride === 'DMY' ? 'selected' : ''}>Day first (DD/MM/YYYY)</option>
+                </select>
+            </div>
+            <p class="detection-note">${note}</p>
+        `;
+        
+        const summarySection = resultsSection.querySelector('.summary-section');
+        resultsSection.insertBefore(dateOrderInfo, summarySection);
+        
+        document.getElementById('dateOrderSelect').addEventListener('change', this.handleDateOrderChange.bind(this));
+    }
+
+    handleDateOrderChange(e) {
+        this.dateOrderOverride = e.target.value || null;
+        console.log(` Date order set to ${this.getDateOrder()}${this.dateOrderOverride ? ' by the user' : ' (automatic)'}`);
+        this.applyDateOrder();
+        this.refreshResults();
+    }
+
+    handlePendingToggle(e) {
+        this.includePending = e.target.checked;
+        console.log(` Pending transactions ${this.includePending ? 'included in' : 'excluded from'} counts`);
+        this.refreshResults();
+    }
+
+    displayTransferMatches() {
+        const resultsSection = document.getElementById('resultsSection');
+
+        let transferInfo = document.getElementById('transferMatchInfo');
+        if (transferInfo) {
+            transferInfo.remove();
+        }
+
+        // Only useful once a second account of the same client has been uploaded
+        if (this.accounts.length < 2) return;
+
+        const accountRows = this.accounts.map(account => `
+            <tr>
+                <td>${this.escapeHtml(this.getAccountLabel(account))}${account.id === this.currentAccountId ? ' (shown)' : ''}</td>
+                <td>${this.escapeHtml(account.fileName || '')}</td>
+                <td>${account.transactions.length}</td>
+                <td>${account.transactions.filter(t => t.transferPairId).length}</td>
+            </tr>
+        `).join('');
+
+        const pairRows = [...this.transferPairs].sort((a, b) => String(a.from.transaction.date).localeCompare(String(b.from.transaction.date))).map(pair => `
+            <tr>
+                <td>${this.formatCalendarDate(pair.from.transaction.date)}</td>
+                <td>${this.escapeHtml(this.getAccountLabel(pair.from.account))}<br><span class="category-total">${this.escapeHtml(pair.from.transaction.description)}</span></td>
+                <td>${this.escapeHtml(this.getAccountLabel(pair.to.account))}<br><span class="category-total">${this.escapeHtml(pair.to.transaction.description)}</span></td>
+                <td>${this.formatAmount(pair.amount, this.getTransactionCurrency(pair.from.transaction, pair.from.account.baseCurrency))}</td>
+                <td>${pair.days === 0 ? 'Same day' : `${pair.days} day${pair.days === 1 ? '' : 's'}`}</td>
+                <td>${pair.linked ? 'Account number' : 'Transfer wording'}</td>
+            </tr>
+        `).join('');
+
+        const shown = this.transactions.filter(t => t.transferPairId).length;
+        const note = this.transferPairs.length === 0 ?
+            `No transfers between these accounts were found (same amount, opposite direction, within ${this.transferWindowDays} days, with transfer wording or the other account's last four digits in the description).` :
+            this.excludeTransfers ?
+                `${shown} transaction${shown === 1 ? ' is a' : 's are'} matched transfer${shown === 1 ? '' : 's'} and left out of the counts below.` :
+                `${shown} transaction${shown === 1 ? ' is a' : 's are'} matched transfer${shown === 1 ? '' : 's'} and still counted below, once in each account.`;
+
+        transferInfo = document.createElement('div');
+        transferInfo.id = 'transferMatchInfo';
+        transferInfo.className = 'column-detection';
+        transferInfo.innerHTML = `
+            <h3> Linked Accounts</h3>
+            <table class="summary-table">
+                <thead>
+                    <tr>
+                        <th>Account</th>
+                        <th>File</th>
+                        <th>Transactions</th>
+                        <th>Matched Transfers</th>
+                    </tr>
+                </thead>
+                <tbody>${accountRows}</tbody>
+            </table>
+            ${pairRows ? `
+                <div class="mapping-preview">
+                    <table class="transactions-table">
+                        <thead>
+                            <tr>
+                                <th>Date</th>
+                                <th>From</th>
+                                <th>To</th>
+                                <th>Amount</th>
+                                <th>Gap</th>
+                                <th>Matched By</th>
+                            </tr>
+                        </thead>
+                        <tbody>${pairRows}</tbody>
+                    </table>
+                </div>
+            ` : ''}
+            <div class="table-controls">
+                <label>
+                    <input type="checkbox" id="excludeTransfersToggle" ${this.excludeTransfers ? 'checked' : ''} ${this.transferPairs.length === 0 ? 'disabled' : ''}>
+                    Exclude matched transfers from counts
+                </label>
+            </div>
+            <p class="detection-note">${note}</p>
+        `;
+
+        const summarySection = resultsSection.querySelector('.summary-section');
+        resultsSection.insertBefore(transferInfo, summarySection);
+
+        document.getElementById('excludeTransfersToggle').addEventListener('change', this.handleTransferToggle.bind(this));
+    }
+
+    handleTransferToggle(e) {
+        this.excludeTransfers = e.target.checked;
+        console.log(` Matched transfers ${this.excludeTransfers ? 'excluded from' : 'included in'} counts`);
+        this.refreshResults();
+    }
+
+    handleSheetChange(e) {
+        console.log(` Switching to sheet selection: ${e.target.value}`);
+        this.transactions = this.applySheetSelection(e.target.value);
+        this.refreshResults();
+    }
+
+    refreshResults() {
+        // Re-count and re-render the loaded transactions after a selection changes
+        const accountType = this.accountType || this.selectedAccountType || 'cash';
+        const account = this.accounts.find(account => account.id === this.currentAccountId);
+        if (account) {
+            // Re-mapped columns or another sheet give the stored account new rows to match
+            account.transactions = this.transactions;
+        }
+        this.matchInternalTransfers();
+        this.counts = this.countTransactions(this.transactions, accountType);
+        this.parsingFlags.tableConfidence = this.calculateTableConfidence(this.transactions);
+        this.parsingFlags.baseCurrency = this.detectBaseCurrency(this.transactions);
+        this.filteredTransactions = [...this.transactions];
+        this.displayResults();
+    }
+
+    getAmountLayoutLabel() {
+        if (!this.columnMapping) {
+            return 'Signed amounts from the statement file';
+        }
+        if (this.columnMapping.amountLayout === 'debit-credit') {
+            return 'Separate Debit and Credit columns';
+        }
+        return 'Single signed Amount column';
     }
 
+    getColumnDetectionNote() {
+        const structuredFormats = { ofx: 'OFX/QFX', qif: 'QIF', camt: 'camt XML', mt940: 'MT940' };
+        const formatName = structuredFormats[this.parsingFlags.sourceFormat];
+        if (formatName) {
+            return `Transactions were read directly from the typed ${formatName} fields, so no column detection was needed.`;
+        }
+        if (this.parsingFlags.manualColumnMapping) {
+            return 'The columns were mapped by hand in the column mapping editor.';
+        }
+        if (this.parsingFlags.profileStatus === 'applied') {
+            return `The saved ${this.getBankProfileLabel()} profile was used, so column detection was skipped.`;
+        }
+        
+        const method = this.columnMapping && this.columnMapping.headerRow === -1 ? 'pattern-based detection' : 'header row detection';
+        return `The analyzer automatically found and mapped your spreadsheet columns using ${method}.`;
+    }
 
     displayParsingConfidence() {
         const resultsSection = document.getElementById('resultsSection');
@@ -889,7 +3263,7 @@ class TransactionAnalyzer {
         resultsSection.insertBefore(parsingInfo, summarySection);
     }
 
-    displayErrorState() {
+    displayErrorState(message = null) {
         const resultsSection = document.getElementById('resultsSection');
         
         // Clear any existing content
@@ -898,7 +3272,7 @@ class TransactionAnalyzer {
             <div class="error-section">
                 <div class="error-message">
                     <h3>Unable to process your file</h3>
-                    <p>Your file appears to contain insufficient or invalid transaction data.</p>
+                    <p>${this.escapeHtml(message || 'Your file appears to contain insufficient or invalid transaction data.')}</p>
                     <div class="error-details">
                         <h4>Common issues:</h4>
                         <ul>
@@ -923,6 +3297,13 @@ class TransactionAnalyzer {
             <button class="reset-btn" id="resetBtn">Try Another File</button>
         `;
         
+        // Rows that were read but not understood can still be mapped by hand
+        if (this.rawTable && this.rawTable.rows.length > 0) {
+            this.displayColumnMappingEditor(resultsSection.querySelector('.error-section'));
+            document.getElementById('columnMappingNote').textContent = 
+                'The columns could not be detected automatically. Pick the header row and the role of each column to read the file anyway.';
+        }
+        
         // Re-attach the reset button event listener
         const resetBtn = document.getElementById('resetBtn');
         if (resetBtn) {
@@ -951,44 +3332,38 @@ class TransactionAnalyzer {
 
         // Group transactions by month
         const monthlyData = this.groupTransactionsByMonth();
+        const pendingExcluded = this.splitPendingTransactions(this.transactions).pendingExcluded.length;
+        const pendingCell = (count) => pendingExcluded > 0 ? `<td>${count}</td>` : '';
         
         // Get all months and sort them chronologically
-        const months = Object.keys(monthlyData).sort((a, b) => {
-            const dateA = new Date(a);
-            const dateB = new Date(b);
-            return dateA - dateB;
-        });
-        
-        // Display each month as a single row
-        months.forEach(month => {
-            const monthData = monthlyData[month];
-            
-            const monthRow = document.createElement('tr');
-            
-            // Calculate totals for this month
-            const monthTotal = monthData.debits.count + monthData.credits.count + monthData.checks.count;
-            
-            if (this.selectedAccountType === 'credit-card') {
-                // Credit card: Month, Charges, Payments, Totals
-                monthRow.innerHTML = `
-                    <td>${month}</td>
-                    <td>${monthData.debits.count}</td>
-                    <td>${monthData.credits.count}</td>
-                    <td>${monthTotal}</td>
-                `;
-            } else {
-                // Cash account: Month, Debits, Credits, Checks, Totals
-                monthRow.innerHTML = `
-                    <td>${month}</td>
-                    <td>${monthData.debits.count}</td>
-                    <td>${monthData.credits.count}</td>
-                    <td>${monthData.checks.count}</td>
-                    <td>${monthTotal}</td>
-                `;
-            }
-            
-            summaryTableBody.appendChild(monthRow);
-        });
+        const months = Object.keys(monthlyData).sort();
+        
+        // Files mixing currencies get a block of monthly rows per currency (base currency first)
+        const currencyGroups = this.groupTransactionsByCurrency(this.transactions);
+        const currencies = Object.keys(currencyGroups);
+        if (currencies.length > 1) {
+            const columnCount = (this.isCreditCardView() ? 4 : 5) + (pendingExcluded > 0 ? 1 : 0);
+            currencies.forEach(currency => {
+                const groupTransactions = currencyGroups[currency];
+                const { countable } = this.splitPendingTransactions(groupTransactions);
+                const net = countable.reduce((sum, t) => sum + t.amount, 0);
+                
+                const groupRow = document.createElement('tr');
+                groupRow.className = 'currency-group-row';
+                groupRow.innerHTML = `<td colspan="${columnCount}">${currency}${currency === this.getBaseCurrency() ? ' (base currency)' : ''}: ${groupTransactions.length} transaction${groupTransactions.length === 1 ? '' : 's'}, net ${this.formatAmount(net, currency)}</td>`;
+                summaryTableBody.appendChild(groupRow);
+                
+                const groupMonthlyData = this.groupTransactionsByMonth(groupTransactions);
+                Object.keys(groupMonthlyData).sort().forEach(month => {
+                    summaryTableBody.appendChild(this.createMonthRow(this.getMonthLabel(month), groupMonthlyData[month], pendingCell));
+                });
+            });
+        } else {
+            // Display each month as a single row
+            months.forEach(month => {
+                summaryTableBody.appendChild(this.createMonthRow(this.getMonthLabel(month), monthlyData[month], pendingCell));
+            });
+        }
         
         // Overall totals row
         const overallTotals = this.calculateOverallTotals();
@@ -999,13 +3374,14 @@ class TransactionAnalyzer {
         
         const grandTotal = overallTotals.debits.count + overallTotals.credits.count + overallTotals.checks.count;
         
-        if (this.selectedAccountType === 'credit-card') {
+        if (this.isCreditCardView()) {
             // Credit card totals
             overallTotalsRow.innerHTML = `
                 <td>TOTAL</td>
                 <td>${overallTotals.debits.count}</td>
                 <td>${overallTotals.credits.count}</td>
                 <td>${grandTotal}</td>
+                ${pendingCell(pendingExcluded)}
             `;
         } else {
             // Cash account totals
@@ -1015,16 +3391,404 @@ class TransactionAnalyzer {
                 <td>${overallTotals.credits.count}</td>
                 <td>${overallTotals.checks.count}</td>
                 <td>${grandTotal}</td>
+                ${pendingCell(pendingExcluded)}
             `;
         }
         
         summaryTableBody.appendChild(overallTotalsRow);
         
         // Add average row
-        this.addAverageRow(summaryTableBody, monthlyData, months);
+        this.addAverageRow(summaryTableBody, monthlyData, months, pendingExcluded > 0);
+    }
+
+    createMonthRow(label, monthData, pendingCell) {
+        const monthRow = document.createElement('tr');
+        
+        // Calculate totals for this month
+        const monthTotal = monthData.debits.count + monthData.credits.count + monthData.checks.count;
+        
+        if (this.isCreditCardView()) {
+            // Credit card: Month, Charges, Payments, Totals
+            monthRow.innerHTML = `
+                <td>${label}</td>
+                <td>${monthData.debits.count}</td>
+                <td>${monthData.credits.count}</td>
+                <td>${monthTotal}</td>
+                ${pendingCell(monthData.pendingExcluded)}
+            `;
+        } else {
+            // Cash account: Month, Debits, Credits, Checks, Totals
+            monthRow.innerHTML = `
+                <td>${label}</td>
+                <td>${monthData.debits.count}</td>
+                <td>${monthData.credits.count}</td>
+                <td>${monthData.checks.count}</td>
+                <td>${monthTotal}</td>
+                ${pendingCell(monthData.pendingExcluded)}
+            `;
+        }
+        
+        return monthRow;
+    }
+
+    groupTransactionsByCurrency(transactions) {
+        const groups = {};
+        transactions.forEach(t => {
+            const currency = this.getTransactionCurrency(t);
+            (groups[currency] = groups[currency] || []).push(t);
+        });
+        
+        // Base currency first, the rest alphabetically
+        const baseCurrency = this.getBaseCurrency();
+        return Object.fromEntries(Object.entries(groups).sort(([a], [b]) =>
+            (a === baseCurrency ? -1 : b === baseCurrency ? 1 : a.localeCompare(b))));
+    }
+
+    displayCategoryBreakdown() {
+        const resultsSection = document.getElementById('resultsSection');
+
+        let categoryInfo = document.getElementById('categoryBreakdownInfo');
+        if (categoryInfo) {
+            categoryInfo.remove();
+        }
+
+        // Same rows as the monthly counts: pending rows left out of the counts are left out here too
+        const { countable } = this.splitPendingTransactions(this.transactions);
+        const groups = this.groupTransactionsByCategory(countable);
+        const months = [...new Set(countable.map(t => this.getMonthKey(t.date)))].sort();
+        // One total per currency, base currency first, as in the monthly counts
+        const currencies = Object.keys(this.groupTransactionsByCurrency(countable));
+        const cell = (data) => data ? `${data.count}${Object.entries(data.totals)
+            .sort(([a], [b]) => currencies.indexOf(a) - currencies.indexOf(b))
+            .map(([currency, total]) => `<br><span class="category-total">${this.formatAmount(total, currency)}</span>`).join('')}` : '';
+
+        const categoryRows = Object.entries(groups).map(([category, group]) => `
+            <tr>
+                <td>${this.escapeHtml(category)}</td>
+                ${months.map(month => `<td>${cell(group.months[month])}</td>`).join('')}
+                <td>${cell(group)}</td>
+            </tr>
+        `).join('');
+
+        const keywordItems = this.customCategoryKeywords.map((entry, index) => `
+            <li>"${this.escapeHtml(entry.keyword)}" → ${this.escapeHtml(entry.category)}
+                <button class="category-keyword-remove" type="button" data-index="${index}">Remove</button></li>
+        `).join('');
+        const categoryOptions = this.getCategoryNames().filter(category => category !== 'Uncategorized')
+            .map(category => `<option value="${this.escapeHtml(category)}"></option>`).join('');
+        const uncategorized = groups.Uncategorized ? groups.Uncategorized.count : 0;
+
+        categoryInfo = document.createElement('div');
+        categoryInfo.id = 'categoryBreakdownInfo';
+        categoryInfo.className = 'column-detection';
+        categoryInfo.innerHTML = `
+            <h3> Spending Categories</h3>
+            <div class="mapping-preview">
+                <table class="summary-table category-table">
+                    <thead>
+                        <tr>
+                            <th>Category</th>
+                            ${months.map(month => `<th>${this.getMonthLabel(month)}</th>`).join('')}
+                            <th>Total</th>
+                        </tr>
+                    </thead>
+                    <tbody>${categoryRows}</tbody>
+                </table>
+            </div>
+            <div class="table-controls">
+                <input type="text" id="categoryKeywordInput" class="search-input" placeholder="Keyword, e.g. CORNER MARKET">
+                <input type="text" id="categoryNameInput" class="search-input" list="categoryNameOptions" placeholder="Category, e.g. Groceries">
+                <datalist id="categoryNameOptions">${categoryOptions}</datalist>
+                <button class="toggle-details-btn" id="addCategoryKeywordBtn">Add Keyword</button>
+            </div>
+            ${keywordItems ? `<ul class="detection-note">${keywordItems}</ul>` : ''}
+            ${currencies.length > 1 ? `<p class="detection-note">Totals are shown separately for each currency (${currencies.join(', ')}); amounts are never converted or added across currencies.</p>` : ''}
+            <p class="detection-note" id="categoryBreakdownNote">${uncategorized > 0 ?
+                `${uncategorized} transaction${uncategorized === 1 ? ' has' : 's have'} no category. Add a keyword from the description to file ${uncategorized === 1 ? 'it' : 'them'} under an existing or new category.` :
+                'Every counted transaction has a category.'}</p>
+        `;
+
+        // Shown right under the monthly counts
+        const toggleSection = resultsSection.querySelector('.toggle-section');
+        resultsSection.insertBefore(categoryInfo, toggleSection);
+
+        document.getElementById('addCategoryKeywordBtn').addEventListener('click', this.addCategoryKeyword.bind(this));
+        categoryInfo.querySelectorAll('.category-keyword-remove').forEach(button => {
+            button.addEventListener('click', this.removeCategoryKeyword.bind(this));
+        });
+    }
+
+    addCategoryKeyword() {
+        const entry = {
+            keyword: document.getElementById('categoryKeywordInput').value.trim(),
+            category: document.getElementById('categoryNameInput').value.trim()
+        };
+        if (!this.isValidCategoryKeyword(entry)) {
+            document.getElementById('categoryBreakdownNote').textContent = 'Enter both a keyword and a category.';
+            return;
+        }
+
+        // The same keyword is only ever filed under one category
+        this.customCategoryKeywords = this.customCategoryKeywords
+            .filter(existing => existing.keyword.toLowerCase() !== entry.keyword.toLowerCase());
+        this.customCategoryKeywords.push(entry);
+        this.storeCustomCategoryKeywords();
+        this.refreshResults();
+    }
+
+    removeCategoryKeyword(e) {
+        this.customCategoryKeywords.splice(Number(e.target.dataset.index), 1);
+        this.storeCustomCategoryKeywords();
+        this.refreshResults();
+    }
+
+    displayBalanceCheck() {
+        const resultsSection = document.getElementById('resultsSection');
+        
+        let balanceInfo = document.getElementById('balanceCheckInfo');
+        if (balanceInfo) {
+            balanceInfo.remove();
+        }
+        
+        // Only files with a running Balance column can be chained
+        const reconciliation = this.reconcileRunningBalances(this.transactions);
+        if (!reconciliation) return;
+        
+        const monthlyBalances = this.getMonthlyBalances(reconciliation);
+        const months = Object.keys(monthlyBalances).sort();
+        const monthRows = months.map(month => `
+            <tr>
+                <td>${this.getMonthLabel(month)}</td>
+                <td>${this.formatAmount(monthlyBalances[month].opening, this.getBaseCurrency())}</td>
+                <td>${this.formatAmount(monthlyBalances[month].closing, this.getBaseCurrency())}</td>
+                <td>${monthlyBalances[month].breaks}</td>
+            </tr>
+        `).join('');
+        
+        const breakItems = reconciliation.breaks.slice(0, 10).map(balanceBreak => `
+            <li>${this.formatCalendarDate(balanceBreak.transaction.date)} ${this.escapeHtml(balanceBreak.transaction.description)}${balanceBreak.transaction.sourceLine ? ` (line ${balanceBreak.transaction.sourceLine})` : ''}: ${this.describeBalanceBreak(balanceBreak)}</li>
+        `).join('');
+        const note = reconciliation.balanced ?
+            `Every row's previous balance plus its amount matches its balance (${reconciliation.checked} rows checked).` :
+            `${reconciliation.breaks.length} of ${reconciliation.checked} rows break the running balance${reconciliation.breaks.length > 10 ? ' (first 10 shown)' : ''}:`;
+        
+        balanceInfo = document.createElement('div');
+        balanceInfo.id = 'balanceCheckInfo';
+        balanceInfo.className = 'column-detection';
+        balanceInfo.innerHTML = `
+            <h3> Running Balance</h3>
+            <table class="summary-table">
+                <thead>
+                    <tr>
+                        <th>Month</th>
+                        <th>Opening Balance</th>
+                        <th>Closing Balance</th>
+                        <th>Breaks</th>
+                    </tr>
+                </thead>
+                <tbody>${monthRows}</tbody>
+            </table>
+            <p class="detection-note">${note}</p>
+            ${breakItems ? `<ul class="detection-note">${breakItems}</ul>` : ''}
+        `;
+        
+        // Shown right under the monthly counts
+        const toggleSection = resultsSection.querySelector('.toggle-section');
+        resultsSection.insertBefore(balanceInfo, toggleSection);
+    }
+
+    displayClassificationRules() {
+        const resultsSection = document.getElementById('resultsSection');
+        
+        let rulesInfo = document.getElementById('classificationRulesInfo');
+        if (rulesInfo) {
+            rulesInfo.remove();
+        }
+        
+        const options = (items, selected) => items.map(item => 
+            `<option value="${this.escapeHtml(item.value)}" ${item.value === selected ? 'selected' : ''}>${this.escapeHtml(item.label)}</option>`
+        ).join('');
+        const bankScopes = (rule) => {
+            const banks = [{ value: '', label: 'Any bank' }];
+            [this.selectedBank, rule.bank].forEach(bank => {
+                if (bank && bank !== 'auto' && !banks.some(item => item.value === bank)) {
+                    banks.push({ value: bank, label: this.getBankOptionLabel(bank) });
+                }
+            });
+            return banks;
+        };
+        const accountTypeScopes = [{ value: '', label: 'Any account' }, 
+            ...['checking', 'savings', 'credit-card'].map(type => ({ value: type, label: this.getAccountTypeLabel(type) }))];
+        
+        const ruleRows = this.classificationRules.map(rule => {
+            const matches = this.transactions.filter(t => t.ruleId === rule.id).length;
+            const invalid = rule.operator === 'regex' && rule.value && !this.compileRulePattern(rule.value);
+            return `
+                <tr data-rule-id="${this.escapeHtml(rule.id)}">
+                    <td><input type="checkbox" data-key="enabled" ${rule.enabled !== false ? 'checked' : ''}></td>
+                    <td><select data-key="field">${options(this.getRuleFields(), rule.field)}</select></td>
+                    <td><select data-key="operator">${options(this.getRuleOperators(), rule.operator)}</select></td>
+                    <td><input type="text" data-key="value" value="${this.escapeHtml(rule.value)}" placeholder="e.g. POS PUR"></td>
+                    <td><select data-key="resultType">${options(this.getRuleResultTypes(), rule.resultType)}</select></td>
+                    <td><input type="number" data-key="priority" value="${rule.priority}" step="1"></td>
+                    <td><select data-key="bank">${options(bankScopes(rule), rule.bank || '')}</select></td>
+                    <td><select data-key="accountType">${options(accountTypeScopes, rule.accountType || '')}</select></td>
+                    <td>${invalid ? 'Invalid or unsafe pattern' : matches}</td>
+                    <td><button class="rule-delete-btn" type="button">Delete</button></td>
+                </tr>
+            `;
+        }).join('');
+        
+        rulesInfo = document.createElement('div');
+        rulesInfo.id = 'classificationRulesInfo';
+        rulesInfo.className = 'column-detection';
+        rulesInfo.innerHTML = `
+            <h3> Classification Rules</h3>
+            ${this.classificationRules.length > 0 ? `
+                <div class="mapping-preview">
+                    <table class="transactions-table rules-table">
+                        <thead>
+                            <tr>
+                                <th>On</th>
+                                <th>Field</th>
+                                <th>Operator</th>
+                                <th>Value</th>
+                                <th>Type</th>
+                                <th>Priority</th>
+                                <th>Bank</th>
+                                <th>Account</th>
+                                <th>Matches</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>${ruleRows}</tbody>
+                    </table>
+                </div>
+            ` : ''}
+            <div class="table-controls">
+                <button class="toggle-details-btn" id="addRuleBtn">Add Rule</button>
+                ${this.classificationRules.length > 0 ? '<button class="toggle-details-btn" id="exportRulesBtn">Export Rules</button>' : ''}
+                <button class="toggle-details-btn" id="importRulesBtn">Import Rules</button>
+                <input type="file" id="rulesImportInput" accept=".json,application/json" hidden>
+            </div>
+            <p class="detection-note" id="classificationRulesNote">${this.classificationRules.length > 0 ?
+                'Rules are checked from the highest priority down and the first match sets the type; the counts update as soon as a rule changes.' :
+                'Add a rule for wording your bank uses that gets misclassified, such as "POS PUR" (debit), "MOBILE DEP" (credit) or "XFER" (debit).'}</p>
+        `;
+        
+        const toggleSection = resultsSection.querySelector('.toggle-section');
+        resultsSection.insertBefore(rulesInfo, toggleSection);
+        
+        rulesInfo.querySelectorAll('[data-key]').forEach(input => {
+            input.addEventListener('change', this.handleRuleChange.bind(this));
+        });
+        rulesInfo.querySelectorAll('.rule-delete-btn').forEach(button => {
+            button.addEventListener('click', this.handleRuleDelete.bind(this));
+        });
+        document.getElementById('addRuleBtn').addEventListener('click', this.addClassificationRule.bind(this));
+        const exportBtn = document.getElementById('exportRulesBtn');
+        if (exportBtn) exportBtn.addEventListener('click', this.exportClassificationRules.bind(this));
+        const importInput = document.getElementById('rulesImportInput');
+        document.getElementById('importRulesBtn').addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', this.handleRulesImport.bind(this));
+    }
+
+    addClassificationRule() {
+        this.classificationRules.push({
+            id: `rule-${Date.now().toString(36)}-${this.classificationRules.length}`,
+            field: 'description',
+            operator: 'contains',
+            value: '',
+            resultType: this.isCreditCardView() ? 'charges' : 'debits',
+            priority: 0,
+            bank: '',
+            accountType: '',
+            enabled: true
+        });
+        this.storeClassificationRules();
+        this.displayClassificationRules();
+    }
+
+    handleRuleChange(e) {
+        const ruleId = e.target.closest('tr').dataset.ruleId;
+        const rule = this.classificationRules.find(rule => rule.id === ruleId);
+        if (!rule) return;
+        
+        const key = e.target.dataset.key;
+        if (key === 'enabled') {
+            rule.enabled = e.target.checked;
+        } else if (key === 'priority') {
+            rule.priority = parseInt(e.target.value, 10) || 0;
+        } else {
+            rule[key] = e.target.value;
+        }
+        
+        this.storeClassificationRules();
+        this.refreshResults();
+    }
+
+    handleRuleDelete(e) {
+        const ruleId = e.target.closest('tr').dataset.ruleId;
+        this.classificationRules = this.classificationRules.filter(rule => rule.id !== ruleId);
+        this.storeClassificationRules();
+        this.refreshResults();
     }
 
-    addAverageRow(summaryTableBody, monthlyData, months) {
+    exportClassificationRules() {
+        const json = JSON.stringify({ version: 1, exportedAt: new Date().toISOString(), rules: this.classificationRules }, null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `classification-rules-${this.toCalendarDate(new Date())}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        window.URL.revokeObjectURL(url);
+    }
+
+    async handleRulesImport(e) {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        
+        try {
+            const { imported, skipped } = this.importClassificationRules(await this.readFileAsText(file));
+            this.refreshResults();
+            document.getElementById('classificationRulesNote').textContent = 
+                `Imported ${imported} rule${imported === 1 ? '' : 's'}${skipped > 0 ? ` (${skipped} invalid entr${skipped === 1 ? 'y' : 'ies'} skipped)` : ''}.`;
+        } catch (error) {
+            console.error(' Rule import failed:', error);
+            document.getElementById('classificationRulesNote').textContent = `Could not import rules: ${error.message}`;
+        }
+    }
+
+    importClassificationRules(text) {
+        // Accepts an exported file ({ rules: [...] }) or a bare array; a rule with a known id replaces the saved one
+        const parsed = JSON.parse(text);
+        const entries = Array.isArray(parsed) ? parsed : (parsed && Array.isArray(parsed.rules) ? parsed.rules : null);
+        if (!entries) {
+            throw new Error('the file is not a classification rule export');
+        }
+        
+        let imported = 0;
+        entries.forEach(entry => {
+            if (!this.isValidClassificationRule(entry)) return;
+            if (entry.operator === 'regex' && entry.value && !this.compileRulePattern(entry.value)) return;
+            const index = this.classificationRules.findIndex(rule => rule.id === entry.id);
+            if (index === -1) {
+                this.classificationRules.push(entry);
+            } else {
+                this.classificationRules[index] = entry;
+            }
+            imported++;
+        });
+        
+        this.storeClassificationRules();
+        return { imported, skipped: entries.length - imported };
+    }
+
+    addAverageRow(summaryTableBody, monthlyData, months, showPending = false) {
         if (months.length === 0) return;
         
         const averageRow = document.createElement('tr');
@@ -1034,10 +3798,11 @@ class TransactionAnalyzer {
         
         // Calculate averages across all months
         const totalMonths = months.length;
-        let avgDebits = 0, avgCredits = 0, avgChecks = 0, avgTotal = 0;
+        let avgDebits = 0, avgCredits = 0, avgChecks = 0, avgTotal = 0, avgPending = 0;
         
         months.forEach(month => {
             const monthData = monthlyData[month];
+            avgPending += monthData.pendingExcluded;
             avgDebits += monthData.debits.count;
             avgCredits += monthData.credits.count;
             avgChecks += monthData.checks.count;
@@ -1048,14 +3813,17 @@ class TransactionAnalyzer {
         avgCredits = Math.round(avgCredits / totalMonths);
         avgChecks = Math.round(avgChecks / totalMonths);
         avgTotal = Math.round(avgTotal / totalMonths);
+        avgPending = Math.round(avgPending / totalMonths);
+        const pendingCell = showPending ? `<td>${avgPending}</td>` : '';
         
-        if (this.selectedAccountType === 'credit-card') {
+        if (this.isCreditCardView()) {
             // Credit card averages
             averageRow.innerHTML = `
                 <td>AVERAGE</td>
                 <td>${avgDebits}</td>
                 <td>${avgCredits}</td>
                 <td>${avgTotal}</td>
+                ${pendingCell}
             `;
         } else {
             // Cash account averages
@@ -1065,6 +3833,7 @@ class TransactionAnalyzer {
                 <td>${avgCredits}</td>
                 <td>${avgChecks}</td>
                 <td>${avgTotal}</td>
+                ${pendingCell}
             `;
         }
         
@@ -1078,31 +3847,44 @@ class TransactionAnalyzer {
         this.filteredTransactions.forEach(transaction => {
             const row = document.createElement('tr');
             row.innerHTML = `
-                <td>${transaction.date.toLocaleDateString()}</td>
-                <td>${transaction.description}</td>
-                <td class="${transaction.amount >= 0 ? 'amount-positive' : 'amount-negative'}">$${Math.abs(transaction.amount).toFixed(2)}</td>
+                <td>${this.formatCalendarDate(transaction.date)}</td>
+                <td>${this.escapeHtml(transaction.description)}${transaction.posted === false ? ' <span class="status-pending">Pending</span>' : ''}${transaction.transferPairId ? ` <span class="status-transfer">Transfer with ${this.escapeHtml(transaction.transferAccount)}</span>` : ''}</td>
+                <td class="${transaction.amount >= 0 ? 'amount-positive' : 'amount-negative'}">${this.formatAmount(Math.abs(transaction.amount), this.getTransactionCurrency(transaction))}</td>
+                <td>${transaction.checkNumber ? this.escapeHtml(transaction.checkNumber) : ''}</td>
                 <td class="type-${transaction.type}">${this.getDisplayTransactionType(transaction.type)}</td>
+                <td>${this.escapeHtml(transaction.category || '')}</td>
             `;
             transactionsTableBody.appendChild(row);
         });
     }
 
-    groupTransactionsByMonth() {
+    groupTransactionsByMonth(transactions = this.transactions) {
         const monthlyData = {};
+        const { pendingExcluded, transferExcluded } = this.splitPendingTransactions(transactions);
+        const excluded = new Set(pendingExcluded);
+        const transfers = new Set(transferExcluded);
         
-        this.transactions.forEach(transaction => {
-            const date = new Date(transaction.date);
-            const monthKey = date.toLocaleDateString('en-US', { year: 'numeric', month: 'long' });
+        transactions.forEach(transaction => {
+            const monthKey = this.getMonthKey(transaction.date);
             
             if (!monthlyData[monthKey]) {
                 monthlyData[monthKey] = {
                     debits: { count: 0, total: 0, average: 0 },
                     credits: { count: 0, total: 0, average: 0 },
                     checks: { count: 0, total: 0, average: 0 },
-                    total: { count: 0, total: 0, average: 0 }
+                    total: { count: 0, total: 0, average: 0 },
+                    pendingExcluded: 0
                 };
             }
             
+            if (transfers.has(transaction)) {
+                return;
+            }
+            if (excluded.has(transaction)) {
+                monthlyData[monthKey].pendingExcluded++;
+                return;
+            }
+            
             const type = transaction.type;
             monthlyData[monthKey][type].count++;
             monthlyData[monthKey][type].total += transaction.amount;
@@ -1131,7 +3913,7 @@ class TransactionAnalyzer {
             total: { count: 0, total: 0, average: 0 }
         };
 
-        this.transactions.forEach(transaction => {
+        this.splitPendingTransactions(this.transactions).countable.forEach(transaction => {
             const type = transaction.type;
             summary[type].count++;
             summary[type].total += transaction.amount;
@@ -1156,15 +3938,18 @@ class TransactionAnalyzer {
     filterTransactions() {
         const searchTerm = document.getElementById('searchInput').value.toLowerCase();
         const typeFilter = document.getElementById('typeFilter').value;
+        const categoryFilter = document.getElementById('categoryFilter') ? document.getElementById('categoryFilter').value : '';
 
         this.filteredTransactions = this.transactions.filter(transaction => {
             const matchesSearch = !searchTerm || 
                 transaction.description.toLowerCase().includes(searchTerm) ||
-                transaction.type.toLowerCase().includes(searchTerm);
+                transaction.type.toLowerCase().includes(searchTerm) ||
+                String(transaction.checkNumber || '').includes(searchTerm);
             
             const matchesType = !typeFilter || transaction.type === typeFilter;
+            const matchesCategory = !categoryFilter || transaction.category === categoryFilter;
 
-            return matchesSearch && matchesType;
+            return matchesSearch && matchesType && matchesCategory;
         });
 
         this.displayTransactions();
@@ -1202,10 +3987,19 @@ class TransactionAnalyzer {
                     aVal = a.amount;
                     bVal = b.amount;
                     break;
+                case 'checkNumber':
+                    // Rows without a check number sort before any check
+                    aVal = a.checkNumber ? Number(String(a.checkNumber).replace(/\D/g, '')) : -1;
+                    bVal = b.checkNumber ? Number(String(b.checkNumber).replace(/\D/g, '')) : -1;
+                    break;
                 case 'type':
                     aVal = a.type;
                     bVal = b.type;
                     break;
+                case 'category':
+                    aVal = a.category || '';
+                    bVal = b.category || '';
+                    break;
                 default:
                     return 0;
             }
@@ -1251,6 +4045,12 @@ class TransactionAnalyzer {
             resetBtn.addEventListener('click', this.reset.bind(this));
         }
 
+        // Add another account button
+        const addAccountBtn = document.getElementById('addAccountBtn');
+        if (addAccountBtn) {
+            addAccountBtn.addEventListener('click', this.addAnotherAccount.bind(this));
+        }
+
         // Download table button
         const downloadTableBtn = document.getElementById('downloadTableBtn');
         if (downloadTableBtn) {
@@ -1287,6 +4087,10 @@ class TransactionAnalyzer {
         if (typeFilter) {
             typeFilter.addEventListener('change', this.filterTransactions.bind(this));
         }
+        const categoryFilter = document.getElementById('categoryFilter');
+        if (categoryFilter) {
+            categoryFilter.addEventListener('change', this.filterTransactions.bind(this));
+        }
 
         // Table sorting
         document.querySelectorAll('.sortable').forEach(header => {
@@ -1302,6 +4106,12 @@ class TransactionAnalyzer {
         this.selectedBank = null;
         this.selectedAccountType = null;
         this.lastFourDigits = null;
+        this.detectBankAutomatically = false;
+        this.detectAccountTypeAutomatically = false;
+        this.accounts = [];
+        this.currentAccountId = null;
+        this.transferPairs = [];
+        this.excludeTransfers = false;
 
         // Hide results and show preliminary questions
         document.getElementById('resultsSection').style.display = 'none';
@@ -1332,6 +4142,8 @@ class TransactionAnalyzer {
         
         if (searchInput) searchInput.value = '';
         if (typeFilter) typeFilter.value = '';
+        const categoryFilter = document.getElementById('categoryFilter');
+        if (categoryFilter) categoryFilter.value = '';
         
         // Reset sort indicators
         document.querySelectorAll('.sortable').forEach(header => {
@@ -1339,6 +4151,15 @@ class TransactionAnalyzer {
         });
     }
 
+    addAnotherAccount() {
+        // Starts over with the account questions, but keeps the accounts uploaded so far for transfer matching
+        const accounts = this.accounts;
+        const excludeTransfers = this.excludeTransfers;
+        this.reset();
+        this.accounts = accounts;
+        this.excludeTransfers = excludeTransfers;
+    }
+
     selectAccountType(accountType) {
         console.log(` Selected account type: ${accountType}`);
         
@@ -1413,9 +4234,17 @@ class TransactionAnalyzer {
         return str.charAt(0).toUpperCase() + str.slice(1);
     }
 
+    escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
     getDisplayTransactionType(transactionType) {
         // For credit card accounts, map transaction types to appropriate display names
-        if (this.selectedAccountType === 'credit-card') {
+        if (this.isCreditCardView()) {
             const typeMapping = {
                 'credits': 'Payment',
                 'debits': 'Charge',
@@ -1435,6 +4264,7 @@ class TransactionAnalyzer {
     handleBankSelection(e) {
         const selectedValue = e.target.value;
         const bankSearchContainer = document.getElementById('bankSearchContainer');
+        this.detectBankAutomatically = selectedValue === 'auto';
         
         if (selectedValue === 'other') {
             // Show search container
@@ -1455,6 +4285,7 @@ class TransactionAnalyzer {
 
     handleAccountTypeSelection(e) {
         this.selectedAccountType = e.target.value;
+        this.detectAccountTypeAutomatically = e.target.value === 'auto';
         this.validateAllQuestions();
     }
 
@@ -1597,7 +4428,7 @@ class TransactionAnalyzer {
                 
                 // Convert canvas to image and download
                 const link = document.createElement('a');
-                link.download = `transaction-table-${new Date().toISOString().split('T')[0]}.png`;
+                link.download = `transaction-table-${this.toCalendarDate(new Date())}.png`;
                 link.href = canvas.toDataURL('image/png');
                 link.click();
                 
@@ -1662,7 +4493,7 @@ class TransactionAnalyzer {
         
         // Convert canvas to image and download
         const link = document.createElement('a');
-        link.download = `transaction-table-${new Date().toISOString().split('T')[0]}.png`;
+        link.download = `transaction-table-${this.toCalendarDate(new Date())}.png`;
         link.href = canvas.toDataURL('image/png');
         link.click();
     }
@@ -1705,7 +4536,7 @@ class TransactionAnalyzer {
             const url = URL.createObjectURL(blob);
             
             link.setAttribute('href', url);
-            link.setAttribute('download', `transaction-table-${new Date().toISOString().split('T')[0]}.csv`);
+            link.setAttribute('download', `transaction-table-${this.toCalendarDate(new Date())}.csv`);
             link.style.visibility = 'hidden';
             
             document.body.appendChild(link);
@@ -1803,17 +4634,144 @@ class TransactionAnalyzer {
     parseCSVSafe(text) {
         console.log(' Starting safe CSV parsing...');
         
-        // Step 1: Initial parse with row fingerprinting
-        const lines = text.split('\n');
-        const initialRows = lines.map((line, i) => this.parseCSVLine(line));
+        // Step 1: Tokenize into logical records (a quoted field may span several physical lines)
+        this.parsingFlags.delimiter = this.detectCSVDelimiter(text);
+        const records = Array.from(this.readCSVRecords(text, this.parsingFlags.delimiter));
+        const initialRows = records.map(record => record.cells);
+        const lineNumbers = records.map(record => record.line);
         
         // Create initial fingerprint
         const initialFingerprint = initialRows.map((row, i) => this.fpRow(i, row));
         console.log(' Initial fingerprint created:', initialFingerprint.length, 'rows');
         
+        const transactions = this.parseRowsSafe(initialRows, lineNumbers);
+        
+        // Final integrity check
+        this.assertStable(initialRows, initialRows, 'CSV parse complete');
+        
+        console.log(' CSV parsing completed with row integrity maintained');
+        return transactions;
+    }
+
+    detectCSVDelimiter(text) {
+        // Pick the candidate that splits the most records into the same number of columns (more than one),
+        // tokenizing with quotes respected so commas inside descriptions or decimal commas don't win
+        const candidates = [',', ';', '\t', '|'];
+        let best = { delimiter: ',', consistency: 0, columns: 1 };
+        
+        for (const delimiter of candidates) {
+            const columnCounts = [];
+            for (const record of this.readCSVRecords(text, delimiter)) {
+                if (!this.isBlankRow(record.cells)) {
+                    columnCounts.push(record.cells.length);
+                }
+                if (columnCounts.length >= 30) break;
+            }
+            
+            const frequency = {};
+            columnCounts.forEach(count => { frequency[count] = (frequency[count] || 0) + 1; });
+            const [columns, occurrences] = Object.entries(frequency)
+                .map(([count, times]) => [Number(count), times])
+                .filter(([count]) => count > 1)
+                .sort((a, b) => (b[1] - a[1]) || (b[0] - a[0]))[0] || [1, 0];
+            const consistency = columnCounts.length > 0 ? occurrences / columnCounts.length : 0;
+            
+            if (consistency > best.consistency || (consistency === best.consistency && consistency > 0 && columns > best.columns)) {
+                best = { delimiter, consistency, columns };
+            }
+        }
+        
+        console.log(`Detected delimiter: ${JSON.stringify(best.delimiter)} (${best.columns} columns, ${(best.consistency * 100).toFixed(0)}% of records)`);
+        return best.delimiter;
+    }
+
+    getDelimiterName(delimiter) {
+        const names = { ',': 'Comma', ';': 'Semicolon', '\t': 'Tab', '|': 'Pipe' };
+        return names[delimiter] || delimiter;
+    }
+
+    // RFC 4180 tokenizer: yields { cells, line, endLine } per logical record, where line/endLine are
+    // the 1-based physical lines the record started and ended on
+    *readCSVRecords(text, delimiter = ',') {
+        let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+        let line = 1;
+        let recordLine = 1;
+        let cells = [];
+        let field = '';
+        let quoted = false;
+        let inQuotes = false;
+        
+        const endField = () => {
+            // Unquoted fields are trimmed like the line parser always did; quoted content is kept as written
+            cells.push(quoted ? field : field.trim());
+            field = '';
+            quoted = false;
+        };
+        
+        while (i < text.length) {
+            const char = text[i];
+            
+            if (inQuotes) {
+                if (char === '"') {
+                    if (text[i + 1] === '"') {
+                        field += '"';
+                        i += 2;
+                        continue;
+                    }
+                    inQuotes = false;
+                } else if (char === '\r' || char === '\n') {
+                    // Quoted line breaks belong to the field; CRLF is kept as a single newline
+                    field += '\n';
+                    if (char === '\r' && text[i + 1] === '\n') i++;
+                    line++;
+                } else {
+                    field += char;
+                }
+                i++;
+                continue;
+            }
+            
+            if (char === '"' && !quoted && !field.trim()) {
+                // Opening quote (leading spaces before it are ignored)
+                field = '';
+                quoted = true;
+                inQuotes = true;
+            } else if (char === delimiter) {
+                endField();
+            } else if (char === '\r' || char === '\n') {
+                endField();
+                yield { cells, line: recordLine, endLine: line };
+                cells = [];
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                line++;
+                recordLine = line;
+            } else {
+                // Stray quotes inside unquoted fields and text after a closing quote are kept literally
+                field += char;
+            }
+            i++;
+        }
+        
+        // Last record without a trailing newline (an unterminated quote keeps what was read)
+        if (field || quoted || cells.length > 0) {
+            endField();
+            yield { cells, line: recordLine, endLine: line };
+        }
+    }
+
+    // Shared row pipeline for every source that can be turned into rows of cells (CSV, Excel, PDF).
+    // lineNumbers optionally maps each row to its physical source line for diagnostics.
+    parseRowsSafe(rows, lineNumbers = null, manualMapping = null) {
+        // Keep the raw rows so the column mapping editor can show them and re-run them
+        this.rawTable = { rows, lineNumbers };
+        
         try {
-            // Step 2: Header detection with integrity check
-            const columnMapping = this.findColumnMappingSafe(lines);
+            // Step 2: Header detection with integrity check (skipped when the columns were mapped by hand
+            // or a saved bank profile fits the file)
+            if (!manualMapping) {
+                this.detectBank(rows);
+            }
+            const columnMapping = manualMapping || this.findProfileColumnMapping(rows) || this.findColumnMappingSafe(rows);
             if (!columnMapping) {
                 throw new Error('Could not find required columns');
             }
@@ -1821,26 +4779,44 @@ class TransactionAnalyzer {
             // Store column mapping for display purposes
             this.columnMapping = columnMapping;
             
+            // Day/month order is decided once from the whole date column, then used for every row
+            const startRow = columnMapping.headerRow === -1 ? 0 : columnMapping.headerRow + 1;
+            const preambleRows = rows.slice(0, Math.max(columnMapping.headerRow, 0));
+            this.resolveDateOrder(
+                rows.slice(startRow).map(row => row[columnMapping.dateIndex]),
+                this.findStatementPeriod(preambleRows)
+            );
+            
+            // "1,234" is only read as 1.234 when other amounts in the file use a decimal comma
+            const amountIndexes = columnMapping.amountLayout === 'debit-credit' ?
+                [columnMapping.debitIndex, columnMapping.creditIndex] : [columnMapping.amountIndex];
+            this.parsingFlags.decimalComma = this.detectDecimalComma(
+                rows.slice(startRow).flatMap(row => amountIndexes.map(index => row[index]))
+            );
+            
+            // Lines above the header row often carry account number, period and balances
+            if (preambleRows.length > 0) {
+                this.readStatementPreamble(preambleRows);
+            }
+            
             // Step 3: Data extraction with row integrity
             const transactions = [];
-            const startRow = columnMapping.headerRow === -1 ? 0 : columnMapping.headerRow + 1;
-            for (let i = startRow; i < lines.length; i++) {
-                const line = lines[i].trim();
-                if (!line) continue;
-                
-                const row = this.parseCSVLine(line);
-                if (row.length < Math.max(columnMapping.dateIndex, columnMapping.amountIndex) + 1) continue;
+            for (let i = startRow; i < rows.length; i++) {
+                const row = rows[i];
+                if (this.isBlankRow(row)) continue;
+                if (row.length < this.getRequiredColumnCount(columnMapping)) continue;
                 
                 const transaction = this.createTransactionFromRowSafe(row, columnMapping);
                 if (transaction) {
+                    if (lineNumbers) {
+                        transaction.sourceLine = lineNumbers[i];
+                    }
                     transactions.push(transaction);
+                } else if (lineNumbers) {
+                    console.warn(`Skipped record at line ${lineNumbers[i]}: no valid date or amount`);
                 }
             }
             
-            // Step 4: Final integrity check
-            this.assertStable(initialRows, initialRows, 'CSV parse complete');
-            
-            console.log(' CSV parsing completed with row integrity maintained');
             return transactions;
             
         } catch (error) {
@@ -1851,33 +4827,236 @@ class TransactionAnalyzer {
         }
     }
 
-    findColumnMappingSafe(lines) {
+    getRequiredColumnCount(columnMapping) {
+        // Exports often drop trailing empty cells, so a paired layout only needs its first amount column
+        const amountColumn = columnMapping.amountLayout === 'debit-credit' ?
+            Math.min(columnMapping.debitIndex, columnMapping.creditIndex) :
+            columnMapping.amountIndex;
+        return Math.max(columnMapping.dateIndex, amountColumn) + 1;
+    }
+
+    getPreambleDatePattern() {
+        return '(\\d{1,2}[\\/.-]\\d{1,2}[\\/.-]\\d{2,4}|\\d{4}-\\d{1,2}-\\d{1,2}|[A-Za-z]{3,9}\\.? \\d{1,2},? \\d{4})';
+    }
+
+    matchStatementPeriod(text) {
+        const datePattern = this.getPreambleDatePattern();
+        return new RegExp(`${datePattern}\\s*(?:-|–|to|through|thru)\\s*${datePattern}`, 'i').exec(text);
+    }
+
+    findStatementPeriod(rows) {
+        // Raw start/end text of a "Statement Period" line, read before the date order is known
+        for (const row of rows) {
+            const period = this.matchStatementPeriod(row.map(cell => this.cellText(cell).trim()).filter(Boolean).join(' '));
+            if (period) {
+                return [period[1], period[2]];
+            }
+        }
+        return null;
+    }
+
+    readStatementPreamble(rows) {
+        // Label/value lines such as "Account Number: XXXX1234", "Statement Period: 01/01/2024 - 01/31/2024"
+        // or "Beginning Balance,$1,000.00" (labels and values may sit in separate cells)
+        const dateRegex = new RegExp(this.getPreambleDatePattern(), 'gi');
+        
+        const metadata = {};
+        rows.filter(row => !this.isBlankRow(row)).forEach(row => {
+            const text = row.map(cell => this.cellText(cell).trim()).filter(Boolean).join(' ');
+            
+            const period = this.matchStatementPeriod(text);
+            if (period) {
+                // The raw text is kept so a changed date order can re-read the period
+                metadata.periodText = metadata.periodText || [period[1], period[2]];
+                return;
+            }
+            
+            const balanceLabel = /\b(beginning|opening|starting|previous|start|ending|closing|end|new|current)\b[\w\s]*?\bbalance\b/i.exec(text);
+            if (balanceLabel) {
+                const value = this.parsePreambleAmount(text.slice(balanceLabel.index + balanceLabel[0].length).replace(dateRegex, ' '));
+                if (value) {
+                    const isOpening = /^(beginning|opening|starting|previous|start)$/i.test(balanceLabel[1]);
+                    metadata[isOpening ? 'openingBalance' : 'closingBalance'] = { ...value, date: null };
+                }
+                return;
+            }
+            
+            if (/\bcurrency\b/i.test(text)) {
+                metadata.currency = metadata.currency || this.detectCurrency(text.replace(/\bcurrency\b/i, ''));
+                return;
+            }
+            
+            // Masked or full account/card numbers: keep the last four digits
+            if (/\b(account|acct|card)\b/i.test(text)) {
+                const lastFour = /(\d{4})(?!\d)(?!.*\d)/.exec(text.replace(/^[^:#\d*xX•]*/, ''));
+                if (lastFour && !metadata.accountLastFour) {
+                    metadata.accountLastFour = lastFour[1];
+                }
+            }
+        });
+        
+        // Balances are as of the period's first and last day; their currency symbol doubles as the statement currency
+        if (metadata.periodText) {
+            [metadata.periodStart, metadata.periodEnd] = metadata.periodText.map(text => this.toStatementDate(text));
+        }
+        if (metadata.openingBalance) metadata.openingBalance.date = metadata.periodStart || null;
+        if (metadata.closingBalance) metadata.closingBalance.date = metadata.periodEnd || null;
+        metadata.currency = metadata.currency ||
+            (metadata.openingBalance && metadata.openingBalance.currency) ||
+            (metadata.closingBalance && metadata.closingBalance.currency) || null;
+        
+        // Values from structured formats take precedence
+        Object.entries(metadata).forEach(([key, value]) => {
+            if (value !== null && value !== undefined && (this.statementInfo[key] === undefined || this.statementInfo[key] === null)) {
+                this.statementInfo[key] = value;
+            }
+        });
+        console.log(' Statement preamble metadata:', metadata);
+    }
+
+    toStatementDate(text) {
+        return this.parseDateEnhanced(text);
+    }
+
+    parsePreambleAmount(text) {
+        // First number after the label; a leading minus or surrounding parentheses make it negative
+        const match = /(\()?\s*(-)?\s*(?:[A-Z]{3}\s*)?[$€£¥]?\s*(-)?\s*(\d[\d.,]*\d|\d)\s*(\))?/.exec(text);
+        if (!match) return null;
+        
+        const amount = this.parseAmountEnhanced(match[4]);
+        if (amount === null) return null;
+        
+        const isNegative = Boolean(match[2] || match[3] || (match[1] && match[5]));
+        return { amount: isNegative ? -amount : amount, currency: this.detectCurrency(text) };
+    }
+
+    detectCurrency(text, dollarCurrency = 'USD') {
+        // ISO codes win over symbols; a bare '$' is whatever dollar the account is in (USD unless told otherwise)
+        const value = String(text || '');
+        const isoCode = /(?:^|[^A-Za-z])(USD|EUR|GBP|CAD|AUD|NZD|CHF|JPY|CNY|HKD|SGD|INR|MXN|BRL|ZAR|SEK|NOK|DKK|PLN|CZK|HUF|KRW)(?![A-Za-z])/.exec(value);
+        if (isoCode) return isoCode[1];
+        
+        const prefixedDollar = /(US|CA|AU|NZ|HK|C|A|S)\$/.exec(value);
+        if (prefixedDollar) {
+            const dollars = { US: 'USD', CA: 'CAD', C: 'CAD', AU: 'AUD', A: 'AUD', NZ: 'NZD', HK: 'HKD', S: 'SGD' };
+            return dollars[prefixedDollar[1]];
+        }
+        
+        const symbols = { '€': 'EUR', '£': 'GBP', '¥': 'JPY', '₹': 'INR', '₩': 'KRW', '$': dollarCurrency };
+        const symbol = Object.keys(symbols).find(s => value.includes(s));
+        return symbol ? symbols[symbol] : null;
+    }
+
+    stripCurrencyMarkers(text) {
+        // "EUR 12.00", "€12.00", "C$12.00" -> "12.00" (the currency is read separately by detectCurrency)
+        return text
+            .replace(/(?:^|\s)(?:USD|EUR|GBP|CAD|AUD|NZD|CHF|JPY|CNY|HKD|SGD|INR|MXN|BRL|ZAR|SEK|NOK|DKK|PLN|CZK|HUF|KRW)(?=\s|\d|-|$)/g, '')
+            .replace(/(?:US|CA|AU|NZ|HK|C|A|S)?\$|[€£¥₹₩]/g, '')
+            .trim();
+    }
+
+    readRowCurrency(row, columnMapping) {
+        // A Currency column, else an explicit code or non-dollar symbol in the amount cells; rows with
+        // neither (or a bare '$') are in the account's base currency
+        if (columnMapping.currencyIndex !== undefined && columnMapping.currencyIndex !== -1) {
+            const currency = this.detectCurrency(this.cellText(row[columnMapping.currencyIndex]).toUpperCase(), null);
+            if (currency) return currency;
+        }
+        const amountCells = [columnMapping.amountIndex, columnMapping.debitIndex, columnMapping.creditIndex]
+            .filter(index => index !== undefined && index !== -1)
+            .map(index => row[index])
+            .filter(cell => typeof cell === 'string');
+        for (const cell of amountCells) {
+            const currency = this.detectCurrency(cell, null);
+            if (currency) return currency;
+        }
+        return null;
+    }
+
+    detectBaseCurrency(transactions) {
+        // Statement metadata (preamble, OFX CURDEF, camt/MT940 account currency), else the most common row currency
+        if (this.statementInfo.currency) {
+            return this.statementInfo.currency;
+        }
+        const counts = {};
+        transactions.forEach(t => {
+            if (t.currency) counts[t.currency] = (counts[t.currency] || 0) + 1;
+        });
+        const [mostCommon] = Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+        return mostCommon || 'USD';
+    }
+
+    getBaseCurrency() {
+        return this.parsingFlags.baseCurrency || this.detectBaseCurrency(this.transactions);
+    }
+
+    getTransactionCurrency(transaction, baseCurrency = this.getBaseCurrency()) {
+        return transaction.currency || baseCurrency;
+    }
+
+    getAmountNotationSummary(transactions) {
+        // How many rows used each non-plain amount notation, e.g. { parentheses: 12, 'cr-mark': 3 }
+        const summary = {};
+        transactions.forEach(t => {
+            (t.amountNotations || []).forEach(notation => {
+                summary[notation] = (summary[notation] || 0) + 1;
+            });
+        });
+        return summary;
+    }
+
+    getForeignCurrencyTransactions(transactions) {
+        const baseCurrency = this.getBaseCurrency();
+        return transactions.filter(t => t.currency && t.currency !== baseCurrency);
+    }
+
+    formatAmount(amount, currency) {
+        try {
+            return new Intl.NumberFormat(this.parsingFlags.locale || 'en-US', { style: 'currency', currency }).format(amount);
+        } catch (error) {
+            // Unknown or missing currency code
+            return `${amount.toFixed(2)}${currency ? ` ${currency}` : ''}`;
+        }
+    }
+
+    getStatementLastFour() {
+        // Preamble account numbers, or the account ID carried by camt.053/MT940 statements
+        if (this.statementInfo.accountLastFour) {
+            return this.statementInfo.accountLastFour;
+        }
+        const digits = String(this.statementInfo.accountId || '').replace(/\D/g, '');
+        return digits.length >= 4 ? digits.slice(-4) : null;
+    }
+
+    getAccountMismatchWarning() {
+        const fileLastFour = this.getStatementLastFour();
+        if (!fileLastFour || !this.lastFourDigits || fileLastFour === this.lastFourDigits) {
+            return null;
+        }
+        return `This file is for the account ending in ${fileLastFour}, but you entered ${this.lastFourDigits}. Please check that you uploaded the right statement.`;
+    }
+
+    isBlankRow(row) {
+        return !row || row.every(cell => !String(cell ?? '').trim());
+    }
+
+    findColumnMappingSafe(rows) {
         console.log(' Safe column mapping search...');
         
         // First, check if we have enough meaningful data (more lenient)
-        const meaningfulLines = lines.filter(line => {
-            const trimmed = line.trim();
-            if (!trimmed) return false;
-            
-            // Count non-empty cells
-            const cells = this.parseCSVLine(trimmed);
-            const nonEmptyCells = cells.filter(cell => cell && cell.trim());
-            return nonEmptyCells.length >= 1; // Need at least 1 column with data
-        });
+        const meaningfulRows = rows.filter(row => !this.isBlankRow(row)); // Need at least 1 column with data
         
-        console.log(` Found ${meaningfulLines.length} lines with meaningful data out of ${lines.length} total lines`);
+        console.log(` Found ${meaningfulRows.length} rows with meaningful data out of ${rows.length} total rows`);
         
-        if (meaningfulLines.length < 1) {
+        if (meaningfulRows.length < 1) {
             console.log(' Insufficient data: No meaningful content found');
             throw new Error('Insufficient data: Your file appears to contain mostly empty cells. Please ensure your spreadsheet has proper transaction data with at least Date and Amount columns.');
         }
         
         // Search through the first 40 non-empty rows (increased from 20)
-        for (let rowIndex = 0; rowIndex < Math.min(40, lines.length); rowIndex++) {
-            const line = lines[rowIndex].trim();
-            if (!line) continue;
-            
-            const headers = this.parseCSVLine(line);
+        for (let rowIndex = 0; rowIndex < Math.min(40, rows.length); rowIndex++) {
+            const headers = rows[rowIndex].map(cell => this.cellText(cell));
+            if (this.isBlankRow(headers)) continue;
             
             // Skip rows that are too sparse
             const nonEmptyHeaders = headers.filter(h => h && h.trim());
@@ -1899,11 +5078,26 @@ class TransactionAnalyzer {
                 'descripcion', 'beschreibung', 'descricao' // Multi-language support
             ]);
             
+            // Paired Debit/Credit columns are looked up first so a "Debit Amount" header isn't taken as the signed amount
+            const debitIndex = this.findColumnIndexFuzzy(headers, [
+                'debit', 'debits', 'debit amount', 'debit_amount', 'withdrawal', 'withdrawals',
+                'money out', 'paid out', 'outflow',
+                'soll', 'cargo' // Multi-language support
+            ]);
+            
+            const creditIndex = this.findColumnIndexFuzzy(headers, [
+                'credit', 'credits', 'credit amount', 'credit_amount', 'deposit', 'deposits',
+                'money in', 'paid in', 'inflow',
+                'haben', 'abono' // Multi-language support
+            ]);
+            
+            // A single "Debit/Credit" indicator column matches both lists and is not a pair
+            const hasPairedColumns = debitIndex !== -1 && creditIndex !== -1 && debitIndex !== creditIndex;
+            
             const amountIndex = this.findColumnIndexFuzzy(headers, [
-                'amount', 'transaction amount', 'debit', 'credit', 'balance',
-                'transaction_amount', 'debit_amount', 'credit_amount', 'balance_amount',
+                'amount', 'transaction amount', 'transaction_amount',
                 'importe', 'betrag', 'valor' // Multi-language support
-            ]);
+            ], hasPairedColumns ? [debitIndex, creditIndex] : []);
             
             const typeIndex = this.findColumnIndexFuzzy(headers, [
                 'type', 'transaction type', 'category', 'classification',
@@ -1911,19 +5105,60 @@ class TransactionAnalyzer {
                 'tipo', 'categoria', 'art' // Multi-language support
             ]);
             
-            // If we found at least Date and Amount, validate this is actually a header row
-            if (dateIndex !== -1 && amountIndex !== -1) {
+            // A signed Amount column wins when both layouts are present
+            const amountLayout = amountIndex !== -1 ? 'signed' : (hasPairedColumns ? 'debit-credit' : null);
+            
+            const amountIndexes = amountLayout === 'signed' ? [amountIndex] : [debitIndex, creditIndex];
+            const statusIndex = this.findColumnIndexFuzzy(headers, [
+                'status', 'state', 'transaction status', 'posting status', 'pending',
+                'estado', 'stato' // Multi-language support
+            ], [dateIndex, descriptionIndex, typeIndex].concat(amountIndexes));
+            
+            // Running balance is read separately and never used as the amount
+            const balanceIndex = this.findColumnIndexFuzzy(headers, [
+                'balance', 'running balance', 'ledger balance', 'available balance', 'balance_amount',
+                'saldo', 'kontostand', 'solde' // Multi-language support
+            ], [dateIndex, descriptionIndex, typeIndex, statusIndex].concat(amountIndexes));
+            
+            // Check numbers: a labelled column, else an unlabelled column holding a check-number sequence
+            const usedIndexes = [dateIndex, descriptionIndex, typeIndex, statusIndex, balanceIndex].concat(amountIndexes);
+            let checkIndex = this.findColumnIndexFuzzy(headers, [
+                'check', 'check#', 'check #', 'check number', 'check no', 'check num', 'check_number',
+                'chk', 'chk#', 'chk no', 'chk num', 'cheque', 'cheque number', 'cheque no',
+                'serial', 'serial number', 'serial no', 'serial_number'
+            ], usedIndexes);
+            if (checkIndex === -1) {
+                checkIndex = this.detectCheckNumberColumn(rows, rowIndex + 1, usedIndexes, headers);
+            }
+            
+            // Per-row currency codes (mixed-currency and multi-currency account exports)
+            const currencyIndex = this.findColumnIndexFuzzy(headers, [
+                'currency', 'ccy', 'currency code', 'transaction currency',
+                'währung', 'devise', 'divisa', 'moneda', 'valuta' // Multi-language support
+            ], usedIndexes.concat([checkIndex]));
+            
+            // If we found at least Date and an amount layout, validate this is actually a header row
+            if (dateIndex !== -1 && amountLayout) {
                 // Additional validation: check if the next few rows look like actual data
-                const isValidHeader = this.validateHeaderRow(lines, rowIndex, dateIndex, amountIndex);
+                const isValidHeader = amountLayout === 'signed' ?
+                    this.validateHeaderRow(rows, rowIndex, dateIndex, amountIndex) :
+                    this.validateHeaderRow(rows, rowIndex, dateIndex, debitIndex, creditIndex);
                 
                 if (isValidHeader) {
-                    console.log(` Found valid header row at line ${rowIndex}`);
+                    console.log(` Found valid header row at line ${rowIndex} (${amountLayout} amounts)`);
                     return {
                         headerRow: rowIndex,
                         dateIndex: dateIndex,
                         descriptionIndex: descriptionIndex,
-                        amountIndex: amountIndex,
-                        typeIndex: typeIndex
+                        amountIndex: amountLayout === 'signed' ? amountIndex : -1,
+                        typeIndex: typeIndex,
+                        amountLayout: amountLayout,
+                        debitIndex: amountLayout === 'debit-credit' ? debitIndex : -1,
+                        creditIndex: amountLayout === 'debit-credit' ? creditIndex : -1,
+                        checkIndex: checkIndex,
+                        statusIndex: statusIndex,
+                        balanceIndex: balanceIndex,
+                        currencyIndex: currencyIndex
                     };
                 } else {
                     console.log(` Header row at line ${rowIndex} failed validation - likely gibberish`);
@@ -1934,7 +5169,7 @@ class TransactionAnalyzer {
         console.log(' No valid header row found - trying pattern-based detection');
         
         // Try pattern-based column detection for Wells Fargo-style data
-        const patternMapping = this.detectColumnsByPattern(lines);
+        const patternMapping = this.detectColumnsByPattern(rows);
         if (patternMapping) {
             console.log(' Found columns using pattern detection:', patternMapping);
             console.log(' Using pattern-based detection for Wells Fargo-style data');
@@ -1944,16 +5179,15 @@ class TransactionAnalyzer {
         throw new Error('No valid transaction data found. Please ensure your file contains:\n• A header row with "Date" and "Amount" columns\n• At least one row of transaction data\n• Proper date formats (MM/DD/YYYY, etc.)\n• Numeric amounts');
     }
 
-    detectColumnsByPattern(lines) {
+    detectColumnsByPattern(rows) {
         console.log(' Attempting pattern-based column detection...');
         
         // Analyze the first 20 rows to find patterns
         const sampleRows = [];
-        for (let i = 0; i < Math.min(20, lines.length); i++) {
-            const line = lines[i].trim();
-            if (!line) continue;
+        for (let i = 0; i < Math.min(20, rows.length); i++) {
+            const row = rows[i];
+            if (this.isBlankRow(row)) continue;
             
-            const row = this.parseCSVLine(line);
             if (row.length >= 3) { // Need at least 3 columns
                 sampleRows.push(row);
             }
@@ -1971,7 +5205,7 @@ class TransactionAnalyzer {
         const columnAnalysis = [];
         
         for (let colIndex = 0; colIndex < columnCount; colIndex++) {
-            const columnData = sampleRows.map(row => row[colIndex] || '').filter(cell => cell.trim());
+            const columnData = sampleRows.map(row => this.cellText(row[colIndex])).filter(cell => cell.trim());
             
             if (columnData.length === 0) continue;
             
@@ -1992,7 +5226,9 @@ class TransactionAnalyzer {
             return null;
         }
         
-        console.log(` Pattern detection results: date=${dateIndex}, amount=${amountIndex}, description=${descriptionIndex}, type=${typeIndex}`);
+        const checkIndex = this.detectCheckNumberColumn(rows, 0, [dateIndex, amountIndex, descriptionIndex, typeIndex]);
+        
+        console.log(` Pattern detection results: date=${dateIndex}, amount=${amountIndex}, description=${descriptionIndex}, type=${typeIndex}, check=${checkIndex}`);
         console.log(' Pattern-based detection successful for Wells Fargo-style data');
         
         return {
@@ -2000,10 +5236,47 @@ class TransactionAnalyzer {
             dateIndex: dateIndex,
             descriptionIndex: descriptionIndex,
             amountIndex: amountIndex,
-            typeIndex: typeIndex
+            typeIndex: typeIndex,
+            amountLayout: 'signed',
+            debitIndex: -1,
+            creditIndex: -1,
+            checkIndex: checkIndex,
+            statusIndex: -1,
+            balanceIndex: -1,
+            currencyIndex: -1
         };
     }
 
+    detectCheckNumberColumn(rows, startRow, usedIndexes, headers = null) {
+        // A column of 3-8 digit integers that are all distinct and close together (a check register
+        // sequence). Fully populated columns are only accepted without a header label, since a labelled,
+        // always-filled sequence is far more likely a reference or transaction ID.
+        const dataRows = rows.slice(startRow, startRow + 50).filter(row => !this.isBlankRow(row));
+        const columnCount = Math.max(0, ...dataRows.map(row => row.length));
+        
+        for (let colIndex = 0; colIndex < columnCount; colIndex++) {
+            if (usedIndexes.includes(colIndex)) continue;
+            
+            const values = dataRows
+                .map(row => this.cellText(row[colIndex]).trim())
+                .filter(value => value && !/^0+$/.test(value));
+            if (values.length < 2 || !values.every(value => /^\d{3,8}$/.test(value))) continue;
+            
+            const isUnlabelled = !headers || !String(headers[colIndex] || '').trim();
+            if (values.length === dataRows.length && !isUnlabelled) continue;
+            
+            const numbers = values.map(Number).sort((a, b) => a - b);
+            const isDistinct = new Set(numbers).size === numbers.length;
+            const spread = numbers[numbers.length - 1] - numbers[0];
+            if (isDistinct && spread <= numbers.length * 25) {
+                console.log(` Column ${colIndex} looks like a check-number sequence`);
+                return colIndex;
+            }
+        }
+        
+        return -1;
+    }
+
     analyzeColumnPattern(columnData, columnIndex) {
         const analysis = {
             columnIndex: columnIndex,
@@ -2096,8 +5369,9 @@ class TransactionAnalyzer {
         return bestMatch.columnIndex;
     }
 
-    findColumnIndexFuzzy(headers, possibleNames) {
+    findColumnIndexFuzzy(headers, possibleNames, skipIndexes = []) {
         for (let i = 0; i < headers.length; i++) {
+            if (skipIndexes.includes(i)) continue;
             const header = headers[i].toLowerCase().trim();
             
             // Skip if header is too short or looks like gibberish
@@ -2141,21 +5415,20 @@ class TransactionAnalyzer {
         return gibberishPatterns.some(pattern => pattern.test(text));
     }
     
-    validateHeaderRow(lines, headerRowIndex, dateIndex, amountIndex) {
+    // For paired Debit/Credit columns, amountIndex is the debit column and creditIndex the credit column;
+    // a row passes when either of them holds an amount
+    validateHeaderRow(rows, headerRowIndex, dateIndex, amountIndex, creditIndex = -1) {
         console.log(` Validating header row at line ${headerRowIndex}`);
         
         // Check the next 5 rows to see if they contain actual data
         const sampleRows = [];
         for (let i = 1; i <= 5; i++) {
             const rowIndex = headerRowIndex + i;
-            if (rowIndex < lines.length) {
-                const line = lines[rowIndex].trim();
-                if (line) {
-                    const row = this.parseCSVLine(line);
-                    if (row.length > Math.max(dateIndex, amountIndex)) {
-                        sampleRows.push(row);
-                        console.log(` Sample row ${i}:`, row);
-                    }
+            if (rowIndex < rows.length) {
+                const row = rows[rowIndex];
+                if (!this.isBlankRow(row) && row.length > Math.max(dateIndex, amountIndex)) {
+                    sampleRows.push(row);
+                    console.log(` Sample row ${i}:`, row);
                 }
             }
         }
@@ -2173,6 +5446,7 @@ class TransactionAnalyzer {
             const row = sampleRows[i];
             const dateValue = row[dateIndex];
             const amountValue = row[amountIndex];
+            const creditValue = creditIndex !== -1 ? row[creditIndex] : undefined;
             
             console.log(` Row ${i}: date="${dateValue}", amount="${amountValue}"`);
             
@@ -2181,7 +5455,7 @@ class TransactionAnalyzer {
             console.log(` Date valid: ${isDateValid}`);
             
             // Check if amount looks like a real amount
-            const isAmountValid = this.isValidAmount(amountValue);
+            const isAmountValid = this.isValidAmount(amountValue) || this.isValidAmount(creditValue);
             console.log(` Amount valid: ${isAmountValid}`);
             
             if (isDateValid && isAmountValid) {
@@ -2202,6 +5476,15 @@ class TransactionAnalyzer {
     }
     
     isValidDate(dateStr) {
+        // Typed spreadsheet cells: real dates (date-formatted serials, see readExcelCell), or bare serial
+        // numbers in an unformatted column when they fall in plausible statement years
+        if (dateStr instanceof Date) {
+            return !isNaN(dateStr.getTime());
+        }
+        if (typeof dateStr === 'number') {
+            return this.isPlausibleDateSerial(dateStr);
+        }
+        
         if (!dateStr || typeof dateStr !== 'string') {
             return false;
         }
@@ -2227,10 +5510,10 @@ class TransactionAnalyzer {
         
         // Check for common date patterns
         const datePatterns = [
-            /^\d{1,2}\/\d{1,2}\/\d{4}$/, // MM/DD/YYYY
+            /^\d{1,2}\/\d{1,2}\/\d{4}$/, // MM/DD/YYYY or DD/MM/YYYY
             /^\d{4}-\d{1,2}-\d{1,2}$/, // YYYY-MM-DD
-            /^\d{1,2}-\d{1,2}-\d{4}$/, // MM-DD-YYYY
-            /^\d{1,2}\.\d{1,2}\.\d{4}$/, // MM.DD.YYYY
+            /^\d{1,2}-\d{1,2}-\d{4}$/, // MM-DD-YYYY or DD-MM-YYYY
+            /^\d{1,2}\.\d{1,2}\.\d{4}$/, // MM.DD.YYYY or DD.MM.YYYY
             /^\d{4}\/\d{1,2}\/\d{1,2}$/ // YYYY/MM/DD
         ];
         
@@ -2250,9 +5533,12 @@ class TransactionAnalyzer {
                     month = parseInt(parts[1]);
                     day = parseInt(parts[2]);
                 } else {
-                    // MM/DD/YYYY, M/DD/YYYY, MM-DD-YYYY, or MM.DD.YYYY format
-                    month = parseInt(parts[0]);
-                    day = parseInt(parts[1]);
+                    // MM/DD/YYYY or DD/MM/YYYY (with /, - or .): whichever part is at most 12 can be the month
+                    const first = parseInt(parts[0]);
+                    const second = parseInt(parts[1]);
+                    const dayFirst = first > 12 && second <= 12;
+                    month = dayFirst ? second : first;
+                    day = dayFirst ? first : second;
                     year = parseInt(parts[2]);
                 }
                 
@@ -2275,47 +5561,25 @@ class TransactionAnalyzer {
     }
     
     isValidAmount(amountStr) {
+        if (typeof amountStr === 'number') {
+            return isFinite(amountStr) && Math.abs(amountStr) <= 1000000;
+        }
         if (!amountStr || typeof amountStr !== 'string') return false;
         
+        // Must be reasonable length (room for a currency code and a CR/DR mark)
         const trimmed = amountStr.trim();
+        if (trimmed.length < 1 || trimmed.length > 24) return false;
         
-        // Must be reasonable length
-        if (trimmed.length < 1 || trimmed.length > 15) return false;
-        
-        // Check for amount patterns (with or without currency symbols)
-        const amountPatterns = [
-            /^[+-]?\d+\.?\d*$/, // Simple number
-            /^[+-]?\$?\d+\.?\d*$/, // With dollar sign
-            /^[+-]?\d+,\d{3}(\.\d{2})?$/, // With thousands separator
-            /^[+-]?\d+\.\d{3},\d{2}$/, // European format (1.234,56)
-            /^[+-]?\d+\.\d{2}$/, // Decimal with exactly 2 places
-            /^[+-]?\d+,\d{2}$/ // European decimal comma (50,00)
-        ];
-        
-        const matches = amountPatterns.some(pattern => pattern.test(trimmed));
+        // Any notation parseAmountNotation understands: 1,234.56, (12.00), 12.00-, 45.00 CR, EUR 12,50, 1'234.50...
+        const parsed = this.parseAmountNotation(trimmed);
+        if (!parsed) return false;
         
-        if (matches) {
-            // Additional validation: check if it's a reasonable amount
-            let cleanAmount = trimmed.replace(/[$,]/g, '');
-            
-            // Handle European decimal comma format (50,00 -> 50.00)
-            if (/^[+-]?\d+,\d{2}$/.test(trimmed)) {
-                cleanAmount = trimmed.replace(',', '.');
-            }
-            
-            const amount = parseFloat(cleanAmount);
-            
-            // Must be a valid number
-            if (isNaN(amount)) return false;
-            
-            // Must be within reasonable range (not too large or too small)
-            if (Math.abs(amount) > 1000000) return false; // Over $1M
-            if (Math.abs(amount) < 0.01 && amount !== 0) return false; // Under 1 cent
-            
-            return true;
-        }
+        // Must be within reasonable range (not too large or too small)
+        const amount = Math.abs(parsed.amount);
+        if (amount > 1000000) return false; // Over $1M
+        if (amount < 0.01 && amount !== 0) return false; // Under 1 cent
         
-        return false;
+        return true;
     }
     
     hasWordBoundaryMatch(text, target) {
@@ -2365,42 +5629,116 @@ class TransactionAnalyzer {
             }
             
             // Parse amount with enhanced validation
-            const amountStr = row[columnMapping.amountIndex];
-            const amount = this.parseAmountEnhanced(amountStr);
+            const { amount, amountStr, debit, credit, notations, marker } = this.readRowAmount(row, columnMapping);
             if (amount === null) {
                 console.warn('Invalid amount:', amountStr);
                 return null;
             }
             
             // Get description
+            // (descriptions wrapped across lines inside quotes are joined back into one line)
             const description = columnMapping.descriptionIndex !== -1 ? 
-                row[columnMapping.descriptionIndex] : 'Transaction';
+                this.cellText(row[columnMapping.descriptionIndex]).replace(/\s*\n\s*/g, ' ') : 'Transaction';
             
             // Enhanced type detection
-            const type = this.determineTransactionTypeSafe(row, columnMapping, amount);
+            const type = this.determineTransactionTypeSafe(row, columnMapping, amount, marker);
             
-            return {
+            const transaction = {
                 date: date,
                 description: description,
                 amount: amount,
                 type: type,
                 rawDate: dateStr,
-                rawAmount: amountStr
+                rawAmount: amountStr,
+                amountNotations: notations
             };
+            if (columnMapping.amountLayout === 'debit-credit') {
+                transaction.debit = debit;
+                transaction.credit = credit;
+            }
+            const checkNumber = this.getCheckNumber(description, row, columnMapping);
+            if (checkNumber) {
+                transaction.checkNumber = checkNumber;
+            }
+            if (columnMapping.balanceIndex !== undefined && columnMapping.balanceIndex !== -1) {
+                const balance = this.parseAmountEnhanced(row[columnMapping.balanceIndex]);
+                if (balance !== null) {
+                    transaction.balance = balance;
+                }
+            }
+            const currency = this.readRowCurrency(row, columnMapping);
+            if (currency) {
+                transaction.currency = currency;
+            }
+            if (columnMapping.statusIndex !== undefined && columnMapping.statusIndex !== -1) {
+                const status = this.cellText(row[columnMapping.statusIndex]).trim();
+                if (status) {
+                    transaction.status = status;
+                    transaction.posted = this.isPostedStatus(status);
+                }
+            }
+            return transaction;
         } catch (error) {
             console.warn('Error creating transaction from row:', row, error);
             return null;
         }
     }
 
-    determineTransactionTypeSafe(row, columnMapping, amount) {
+    readRowAmount(row, columnMapping) {
+        if (columnMapping.amountLayout !== 'debit-credit') {
+            const amountStr = row[columnMapping.amountIndex];
+            const parsed = this.parseAmountNotation(amountStr);
+            // Some exports print money out as positive; explicit CR/DR marks already carry the direction
+            const inverted = parsed && columnMapping.signConvention === 'inverted' && !parsed.marker;
+            return {
+                amount: parsed ? (inverted ? -parsed.amount || 0 : parsed.amount) : null,
+                amountStr,
+                debit: null,
+                credit: null,
+                notations: parsed ? parsed.notations : [],
+                marker: parsed ? parsed.marker : null
+            };
+        }
+        
+        // Paired columns: debits are money out whatever sign the bank printed them with, credits money in.
+        // Empty cells are normal (only one side is filled per row); a row with neither is skipped.
+        const debitStr = row[columnMapping.debitIndex];
+        const creditStr = row[columnMapping.creditIndex];
+        const parsedDebit = this.parseAmountNotation(debitStr);
+        const parsedCredit = this.parseAmountNotation(creditStr);
+        const debit = parsedDebit ? parsedDebit.amount : null;
+        const credit = parsedCredit ? parsedCredit.amount : null;
+        
+        const amountStr = debit ? debitStr : (credit ? creditStr : (debitStr || creditStr));
+        if (debit === null && credit === null) {
+            return { amount: null, amountStr, debit: null, credit: null, notations: [], marker: null };
+        }
+        
+        // The column already says which way the money went, so CR/DR marks are only recorded
+        const amount = Math.abs(credit || 0) - Math.abs(debit || 0);
+        return {
+            amount,
+            amountStr,
+            debit: debit === null ? null : Math.abs(debit),
+            credit: credit === null ? null : Math.abs(credit),
+            notations: [...new Set([...(parsedDebit ? parsedDebit.notations : []), ...(parsedCredit ? parsedCredit.notations : [])])],
+            marker: null
+        };
+    }
+
+    isPostedStatus(status) {
+        // Anything that isn't explicitly pending/authorized/on hold counts as posted (Posted, Cleared, Booked...)
+        return !/\b(pending|pend|pdng|authori[sz]ed|authori[sz]ation|hold|on hold|processing|in progress|unposted|not posted|uncleared|memo)\b/i.test(status);
+    }
+
+    determineTransactionTypeSafe(row, columnMapping, amount, marker = null) {
         // Get description for better detection
         const description = columnMapping.descriptionIndex !== -1 ? 
-            (row[columnMapping.descriptionIndex] || '').toLowerCase() : '';
+            this.cellText(row[columnMapping.descriptionIndex]).toLowerCase() : '';
         
         // Get original description (before lowercasing) for pattern matching
         const originalDescription = columnMapping.descriptionIndex !== -1 ? 
-            (row[columnMapping.descriptionIndex] || '') : '';
+            this.cellText(row[columnMapping.descriptionIndex]) : '';
         
         // Check if this is a credit card account
         const isCreditCard = this.selectedAccountType === 'credit-card';
@@ -2434,6 +5772,19 @@ class TransactionAnalyzer {
             }
         }
         
+        // A check number marks a check on cash accounts, whatever the description says (e.g. "Payment to ...")
+        if (!isCreditCard && this.isCheckTransaction(description, row, columnMapping)) {
+            return 'checks';
+        }
+        
+        // A CR/DR mark printed on the amount is the bank's own direction, as good as a type column
+        if (marker === 'CR') {
+            return 'credits';
+        }
+        if (marker === 'DR') {
+            return 'debits';
+        }
+        
         // Check description for credit card patterns
         const fullText = `${description} ${row[columnMapping.typeIndex] || ''}`.toLowerCase();
         
@@ -2480,80 +5831,189 @@ class TransactionAnalyzer {
     }
 
     isCheckTransaction(description, row, columnMapping) {
-        // Check for check number in description
-        if (/\bcheck\s*#?\s*\d+\b/i.test(description)) {
+        // Check number already carried on a parsed transaction (e.g. OFX CHECKNUM)
+        if (row && !Array.isArray(row) && row.checkNumber) {
             return true;
         }
         
-        // Check for check number column
-        if (columnMapping.checkIndex !== undefined && columnMapping.checkIndex !== -1) {
-            const checkNum = row[columnMapping.checkIndex];
-            if (checkNum && String(checkNum).trim()) {
-                return true;
+        return this.getCheckNumber(description, row, columnMapping) !== null;
+    }
+
+    getCheckNumber(description, row, columnMapping) {
+        // Check number column
+        if (Array.isArray(row) && columnMapping.checkIndex !== undefined && columnMapping.checkIndex !== -1) {
+            const checkNum = this.cellText(row[columnMapping.checkIndex]).replace(/^#\s*/, '').trim();
+            if (/\d/.test(checkNum) && !/^0+$/.test(checkNum)) {
+                return checkNum;
+            }
+        }
+        
+        // Check number in description
+        const match = /\b(?:check|chk|cheque)\s*#?\s*(\d+)\b/i.exec(description || '');
+        return match ? match[1] : null;
+    }
+
+    splitNumericDate(value) {
+        // "a/b/yyyy" style dates (with /, - or . and an optional time) whose day/month order is not self-evident
+        if (typeof value !== 'string') return null;
+        const match = /^\s*(\d{1,2})[\/.\-](\d{1,2})[\/.\-](\d{4}|\d{2})(?:[\sT].*)?$/.exec(value);
+        if (!match) return null;
+        
+        let year = parseInt(match[3]);
+        if (year < 100) {
+            year += year < 50 ? 2000 : 1900;
+        }
+        return { first: parseInt(match[1]), second: parseInt(match[2]), year };
+    }
+
+    getDateOrder() {
+        return this.dateOrderOverride || this.parsingFlags.dateOrder || 'MDY';
+    }
+
+    detectDateOrder(values, periodText = null) {
+        const dates = values.map(value => this.splitNumericDate(value)).filter(Boolean);
+        if (dates.length === 0) return null;
+        const period = periodText ? periodText.map(text => this.splitNumericDate(text)) : [];
+        const periodDates = period.filter(Boolean);
+        
+        // 1. A part above 12 can only be the day (the printed statement period counts too)
+        const dayFirstCount = [...dates, ...periodDates].filter(d => d.first > 12 && d.second <= 12).length;
+        const monthFirstCount = [...dates, ...periodDates].filter(d => d.second > 12 && d.first <= 12).length;
+        if (dayFirstCount > 0 || monthFirstCount > 0) {
+            return {
+                order: dayFirstCount >= monthFirstCount ? 'DMY' : 'MDY',
+                evidence: 'day-values',
+                ambiguous: dayFirstCount > 0 && monthFirstCount > 0
+            };
+        }
+        
+        const toTime = (d, order) => (order === 'DMY' ?
+            new Date(d.year, d.second - 1, d.first) : new Date(d.year, d.first - 1, d.second)).getTime();
+        
+        // 2. The rows should fall inside the statement period printed above the table
+        if (periodDates.length === 2) {
+            const inside = (order) => {
+                const start = toTime(period[0], order);
+                const end = toTime(period[1], order);
+                return dates.filter(d => toTime(d, order) >= start && toTime(d, order) <= end).length;
+            };
+            const monthFirstInside = inside('MDY');
+            const dayFirstInside = inside('DMY');
+            if (monthFirstInside !== dayFirstInside) {
+                return { order: dayFirstInside > monthFirstInside ? 'DMY' : 'MDY', evidence: 'period', ambiguous: false };
+            }
+        }
+        
+        // 3. Statements list rows oldest- or newest-first; only the right reading keeps them in order
+        const outOfOrder = (order) => {
+            let rising = 0;
+            let falling = 0;
+            for (let i = 1; i < dates.length; i++) {
+                const step = toTime(dates[i], order) - toTime(dates[i - 1], order);
+                if (step > 0) rising++;
+                if (step < 0) falling++;
+            }
+            return Math.min(rising, falling);
+        };
+        const monthFirstDisorder = outOfOrder('MDY');
+        const dayFirstDisorder = outOfOrder('DMY');
+        if ((monthFirstDisorder === 0) !== (dayFirstDisorder === 0)) {
+            return { order: dayFirstDisorder === 0 ? 'DMY' : 'MDY', evidence: 'ordering', ambiguous: false };
+        }
+        
+        // Nothing tells them apart: keep US order and let the user decide
+        return { order: 'MDY', evidence: 'default', ambiguous: true };
+    }
+
+    resolveDateOrder(values, periodText = null) {
+        const detected = this.detectDateOrder(values, periodText);
+        if (!detected) return;
+        
+        this.parsingFlags.dateOrder = detected.order;
+        this.parsingFlags.dateOrderEvidence = detected.evidence;
+        this.parsingFlags.dateOrderAmbiguous = detected.ambiguous;
+        console.log(` Date order: ${detected.order} (${detected.evidence}${detected.ambiguous ? ', ambiguous' : ''})`);
+    }
+
+    resetDateOrderFlags() {
+        this.parsingFlags.dateOrder = null;
+        this.parsingFlags.dateOrderEvidence = null;
+        this.parsingFlags.dateOrderAmbiguous = false;
+    }
+
+    getSheetDateOrder() {
+        return {
+            order: this.parsingFlags.dateOrder,
+            evidence: this.parsingFlags.dateOrderEvidence,
+            ambiguous: this.parsingFlags.dateOrderAmbiguous
+        };
+    }
+
+    restoreSheetDateOrder(sheets) {
+        // Each sheet keeps the order found in its own date column; merged sheets take the best-supported one
+        const strength = { default: 0, ordering: 1, period: 2, 'day-values': 3 };
+        const best = sheets.map(sheet => sheet.dateOrder).filter(dateOrder => dateOrder && dateOrder.order)
+            .reduce((chosen, dateOrder) => (!chosen || strength[dateOrder.evidence] > strength[chosen.evidence] ? dateOrder : chosen), null);
+        this.parsingFlags.dateOrder = best ? best.order : null;
+        this.parsingFlags.dateOrderEvidence = best ? best.evidence : null;
+        this.parsingFlags.dateOrderAmbiguous = best ? best.ambiguous : false;
+    }
+
+    applyDateOrder(transactions = this.transactions) {
+        // Re-read numeric dates of the shown rows and the statement period with the current order
+        transactions.forEach(transaction => {
+            if (!this.splitNumericDate(transaction.rawDate)) return;
+            const date = this.parseDateEnhanced(transaction.rawDate);
+            if (date) {
+                transaction.date = date;
             }
-        }
+        });
         
-        return false;
+        if (this.statementInfo.periodText) {
+            [this.statementInfo.periodStart, this.statementInfo.periodEnd] = this.statementInfo.periodText.map(text => this.toStatementDate(text));
+            if (this.statementInfo.openingBalance) this.statementInfo.openingBalance.date = this.statementInfo.periodStart;
+            if (this.statementInfo.closingBalance) this.statementInfo.closingBalance.date = this.statementInfo.periodEnd;
+        }
+        this.parsingFlags.locale = this.detectLocale(transactions);
     }
 
     parseDateEnhanced(dateStr) {
         try {
+            // Typed spreadsheet cells are already dates or serial numbers
+            if (dateStr instanceof Date) {
+                return isNaN(dateStr.getTime()) ? null : this.toCalendarDate(dateStr);
+            }
+            if (typeof dateStr === 'number') {
+                return this.isPlausibleDateSerial(dateStr) ? this.toCalendarDate(this.excelSerialToDate(dateStr)) : null;
+            }
+            
             // Handle Excel serial dates (numbers like 44927)
             if (/^\d+$/.test(dateStr.trim())) {
                 const serialDate = parseInt(dateStr);
                 if (serialDate > 0 && serialDate < 100000) {
-                    // Excel serial date (1900 epoch)
-                    const excelEpoch = new Date(1900, 0, 1);
-                    const date = new Date(excelEpoch.getTime() + (serialDate - 2) * 24 * 60 * 60 * 1000);
-                    if (!isNaN(date.getTime())) {
-                        return date;
-                    }
+                    return this.toCalendarDate(this.excelSerialToDate(serialDate));
                 }
             }
             
-            // Handle various date formats with better error handling
-            const date = new Date(dateStr);
-            if (!isNaN(date.getTime())) {
-                return date;
-            }
-            
-            // Try MM/DD/YYYY format
-            const parts = dateStr.split('/');
-            if (parts.length === 3) {
-                const month = parseInt(parts[0]);
-                const day = parseInt(parts[1]);
-                let year = parseInt(parts[2]);
-                
-                if (year < 100) {
-                    year += year < 50 ? 2000 : 1900;
-                }
-                
-                if (month >= 1 && month <= 12 && day >= 1 && day <= 31) {
-                    return new Date(year, month - 1, day);
-                }
+            // Numeric day/month dates follow the order detected for the whole file, so every row is read the same way
+            const numericDate = this.splitNumericDate(dateStr);
+            if (numericDate) {
+                const dayFirst = this.getDateOrder() === 'DMY';
+                const month = dayFirst ? numericDate.second : numericDate.first;
+                const day = dayFirst ? numericDate.first : numericDate.second;
+                return this.makeCalendarDate(numericDate.year, month, day);
             }
             
-            // Try DD/MM/YYYY format
-            if (parts.length === 3) {
-                const day = parseInt(parts[0]);
-                const month = parseInt(parts[1]);
-                let year = parseInt(parts[2]);
-                
-                if (year < 100) {
-                    year += year < 50 ? 2000 : 1900;
-                }
-                
-                if (month >= 1 && month <= 12 && day >= 1 && day <= 31) {
-                    return new Date(year, month - 1, day);
-                }
+            // Try YYYY-MM-DD / YYYY/MM/DD format
+            const isoMatch = /^(\d{4})[-\/](\d{1,2})[-\/](\d{1,2})\b/.exec(dateStr.trim());
+            if (isoMatch) {
+                return this.makeCalendarDate(parseInt(isoMatch[1]), parseInt(isoMatch[2]), parseInt(isoMatch[3]));
             }
             
-            // Try YYYY-MM-DD format
-            if (/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) {
-                const date = new Date(dateStr);
-                if (!isNaN(date.getTime())) {
-                    return date;
-                }
+            // Month names ("Jan 5, 2024", "5 January 2024") are unambiguous and parse as local dates
+            const date = new Date(dateStr);
+            if (!isNaN(date.getTime())) {
+                return this.toCalendarDate(date);
             }
             
             return null;
@@ -2563,46 +6023,227 @@ class TransactionAnalyzer {
         }
     }
 
+    detectDecimalComma(values) {
+        // A comma followed by one or two digits, or dot-grouped thousands before a comma, only
+        // appears in files that write amounts the European way
+        return values.some(value => {
+            if (typeof value !== 'string') return false;
+            const text = value.replace(/[\s\u00A0\u202F\u2009]/g, '');
+            return /\d,\d{1,2}(?!\d)/.test(text) || /\d\.\d{3},\d/.test(text);
+        });
+    }
+
     parseAmountEnhanced(amountStr) {
+        const parsed = this.parseAmountNotation(amountStr);
+        return parsed ? parsed.amount : null;
+    }
+
+    parseAmountNotation(amountStr) {
+        // Returns { amount, notations, marker }: notations lists every non-plain convention seen
+        // (e.g. ['currency-symbol', 'parentheses']) and marker is the CR/DR mark, if any
         try {
+            // Numeric spreadsheet cells need no text parsing
+            if (typeof amountStr === 'number') {
+                return isFinite(amountStr) ? { amount: amountStr, notations: [], marker: null } : null;
+            }
+            
             // Handle empty or non-numeric strings
             if (!amountStr || typeof amountStr !== 'string') {
                 return null;
             }
             
-            // Handle decimal comma locale (1.234,56)
-            let cleanAmount = amountStr.trim();
+            const notations = [];
+            let text = amountStr;
+            let negative = false;
+            let marker = null;
+            
+            // Non-breaking and thin spaces (used as thousands separators or after symbols)
+            if (/[\u00A0\u202F\u2009]/.test(text)) {
+                notations.push('non-breaking-space');
+                text = text.replace(/[\u00A0\u202F\u2009]/g, ' ');
+            }
+            text = text.trim();
+            
+            // Unicode minus sign and dashes
+            if (/[\u2212\u2012\u2013\u2014\uFE63\uFF0D]/.test(text)) {
+                notations.push('unicode-minus');
+                text = text.replace(/[\u2212\u2012\u2013\u2014\uFE63\uFF0D]/g, '-');
+            }
+            
+            // CR/DR marks before or after the number: 123.45 CR, 123.45DR, DR 123.45
+            const markMatch = /^(CR|DR)\.?\s+(.*)$/i.exec(text) || /^(.*?[\d)\s])(CR|DR)\.?$/i.exec(text);
+            if (markMatch) {
+                const prefixed = /^(CR|DR)$/i.test(markMatch[1]);
+                marker = (prefixed ? markMatch[1] : markMatch[2]).toUpperCase();
+                notations.push(marker === 'CR' ? 'cr-mark' : 'dr-mark');
+                text = (prefixed ? markMatch[2] : markMatch[1]).trim();
+            }
+            
+            // Currency codes and symbols: USD 12.00, 12,00 €, -$5.00, $(5.00), (USD 5.00)
+            const stripCurrency = (value) => {
+                const withoutCurrency = this.stripCurrencyMarkers(value);
+                if (withoutCurrency !== value) {
+                    notations.push(/[A-Z]{3}/.test(value) && this.detectCurrency(value, null) ? 'currency-code' : 'currency-symbol');
+                }
+                return withoutCurrency;
+            };
+            text = stripCurrency(text);
+            
+            // Accounting negatives: (123.45), -(123.45)
+            const parenthesesMatch = /^([+-]?)\s*\((.*)\)$/.exec(text);
+            if (parenthesesMatch) {
+                notations.push('parentheses');
+                negative = true;
+                text = stripCurrency(parenthesesMatch[2].trim());
+            }
+            
+            // Trailing minus: 123.45-
+            const trailingMinus = /^([^-]*\d)\s*-$/.exec(text);
+            if (trailingMinus) {
+                notations.push('trailing-minus');
+                negative = true;
+                text = trailingMinus[1];
+            }
+            
+            // Leading sign, possibly separated from the number by a space
+            const signMatch = /^([+-])\s*(.*)$/.exec(text);
+            if (signMatch) {
+                negative = negative || signMatch[1] === '-';
+                text = signMatch[2];
+            }
+            
+            // Swiss apostrophe thousands separators: 1'234.50
+            if (/^\d{1,3}(['’]\d{3})+(\.\d+)?$/.test(text)) {
+                notations.push('apostrophe-thousands');
+                text = text.replace(/['’]/g, '');
+            }
+            
+            // Space thousands separators: 1 234,56 or 1 234.56
+            if (/^\d{1,3}( \d{3})+([.,]\d+)?$/.test(text)) {
+                notations.push('space-thousands');
+                text = text.replace(/ /g, '');
+            }
             
             // Check for decimal comma format (European)
-            if (/^\d{1,3}(\.\d{3})*,\d+$/.test(cleanAmount)) {
+            // A lone group of three digits after the comma ("1,234") is a US thousands separator
+            // unless the file's other amounts use a decimal comma
+            const commaThousands = /^\d{1,3},\d{3}$/.test(text) && this.parsingFlags.decimalComma !== true;
+            if (!commaThousands && (/^\d{1,3}(\.\d{3})*,\d+$/.test(text) || /^\d+,\d{2}$/.test(text))) {
                 // Replace dots with nothing and comma with dot
-                cleanAmount = cleanAmount.replace(/\./g, '').replace(',', '.');
-            } else if (/^[+-]?\d+,\d{2}$/.test(cleanAmount)) {
-                // Simple European decimal comma (50,00)
-                cleanAmount = cleanAmount.replace(',', '.');
-            } else {
-                // Standard US format - remove currency symbols and spaces
-                cleanAmount = cleanAmount.replace(/[$,\s]/g, '');
+                notations.push('decimal-comma');
+                text = text.replace(/\./g, '').replace(',', '.');
+            } else if (text.includes(',')) {
+                // Standard US thousands separators
+                text = text.replace(/,/g, '');
+            }
+            
+            // Check if it's a valid number
+            if (!/^\d*\.?\d+$/.test(text)) {
+                return null;
             }
             
-            // Check if it's a valid number with enhanced regex (allow + and - signs)
-            if (!/^[+-]?\d*\.?\d+$/.test(cleanAmount)) {
+            const amount = parseFloat(text);
+            if (isNaN(amount)) {
                 return null;
             }
             
-            const amount = parseFloat(cleanAmount);
-            return isNaN(amount) ? null : amount;
+            // CR is money in and DR money out, whatever sign was printed alongside
+            let signedAmount = negative ? -amount : amount;
+            if (marker === 'CR') signedAmount = amount;
+            if (marker === 'DR') signedAmount = -amount;
+            
+            return { amount: signedAmount, notations, marker };
         } catch (error) {
             console.warn('Error parsing amount:', amountStr);
             return null;
         }
     }
 
+    // Enhanced Counting System
+    resolveAccountPolicy(transactions) {
+        this.accountTypeGuess = this.inferAccountType(transactions);
+        
+        // "Detect automatically" takes the inferred type when the bank's export layout didn't already settle it
+        if (this.selectedAccountType === 'auto' && this.accountTypeGuess) {
+            this.selectedAccountType = this.accountTypeGuess.accountType;
+            this.prefillBankQuestions();
+        }
+        
+        return this.parsingFlags.declaredAccountType || this.getCountingPolicy(this.selectedAccountType) || 'cash';
+    }
+
+    inferAccountType(transactions) {
+        // Weigh what the rows say about the account: checks only exist on checking accounts, card statements
+        // carry payment and interest-charge rows, savings accounts are mostly transfers and interest
+        const rows = transactions.filter(t => t.date && t.amount !== null && t.amount !== undefined);
+        if (rows.length === 0) return null;
+        
+        const texts = rows.map(t => `${t.description || ''} ${t.type || ''}`.toLowerCase());
+        const share = (pattern) => texts.filter(text => pattern.test(text)).length / rows.length;
+        const scores = { 'checking': 0, 'savings': 0, 'credit-card': 0 };
+        const evidence = { 'checking': [], 'savings': [], 'credit-card': [] };
+        const add = (accountType, points, reason) => {
+            scores[accountType] += points;
+            evidence[accountType].push(reason);
+        };
+        
+        if (this.parsingFlags.declaredAccountType === 'credit') {
+            add('credit-card', 1, 'the file declares a credit card account');
+        }
+        if (this.bankGuess && this.bankGuess.accountType) {
+            add(this.bankGuess.accountType, 0.8, "the bank's export layout");
+        }
+        if (share(/\b(payment thank you|thank you for your payment|autopay payment|payment received|interest charge|purchase interest|annual fee|late fee|cash advance)\b/) > 0) {
+            add('credit-card', 0.6, 'card payment or interest charge rows');
+        }
+        if (this.calculatePolicyConfidence(rows, 'credit') >= 0.5) {
+            add('credit-card', 0.3, 'mostly purchase and payment wording');
+        }
+        
+        const checkShare = rows.filter(t => t.checkNumber || t.type === 'checks').length / rows.length;
+        if (checkShare > 0) {
+            add('checking', 0.5, 'checks');
+        }
+        if (share(/\b(atm|debit card|pos|payroll|direct dep|direct deposit|zelle|venmo|overdraft)\b/) >= 0.1) {
+            add('checking', 0.3, 'ATM, debit card or payroll rows');
+        }
+        
+        if (share(/\b(interest (paid|earned|payment|credit)|dividend|transfer (from|to)|savings)\b/) >= 0.3) {
+            add('savings', 0.4, 'mostly transfers and interest');
+            const months = new Set(rows.map(t => this.getMonthKey(t.date))).size;
+            if (checkShare === 0 && rows.length / months <= 5) {
+                add('savings', 0.3, 'only a few transactions a month');
+            }
+        }
+        
+        const ranked = Object.keys(scores).sort((a, b) => scores[b] - scores[a]);
+        const best = ranked[0];
+        if (scores[best] === 0) {
+            return { accountType: 'checking', confidence: 0, level: 'low', evidence: ['no account type signals, so checking is assumed'] };
+        }
+        
+        const margin = scores[best] - scores[ranked[1]];
+        const confidence = Math.min(0.99, scores[best]) * (margin < 0.2 ? 0.5 : 1);
+        return {
+            accountType: best,
+            confidence: Math.round(confidence * 100) / 100,
+            level: this.getConfidenceLevel(confidence),
+            evidence: evidence[best]
+        };
+    }
 
+    hasAccountTypeDisagreement() {
+        const guess = this.accountTypeGuess;
+        return Boolean(guess && guess.level !== 'low' && this.selectedAccountType &&
+            this.selectedAccountType !== 'auto' && guess.accountType !== this.selectedAccountType);
+    }
 
-    // Enhanced Counting System
     countTransactions(transactions, accountType) {
         console.log(`🔢 Counting transactions for ${accountType} account...`);
+        // Rules run first so every counting path (and a re-run after editing a rule) sees the user's types
+        this.applyClassificationRules(transactions);
+        this.categorizeTransactions(transactions);
+        this.parsingFlags.pendingOnly = transactions.length > 0 && transactions.every(t => t.posted === false);
         
         if (accountType === 'cash') {
             return this.countCashTransactions(transactions);
@@ -2632,18 +6273,17 @@ class TransactionAnalyzer {
     countCashTransactions(transactions) {
         let debits = 0, credits = 0, checks = 0;
         
-        // Filter out pending transactions if posted transactions exist
-        const anyPosted = transactions.some(t => t.posted !== false);
-        const validTransactions = transactions.filter(t => {
+        // Filter out pending transactions unless they are included (or nothing has posted yet)
+        const { countable, pendingExcluded, transferExcluded } = this.splitPendingTransactions(transactions);
+        const validTransactions = countable.filter(t => {
             if (!t.date || (t.amount === null || t.amount === undefined)) return false;
-            if (anyPosted && t.posted === false) return false; // Exclude pending if posted exists
             return true;
         });
         
         // Remove duplicates based on hash
         const seen = new Set();
         const uniqueTransactions = validTransactions.filter(t => {
-            const hash = this.createTransactionHash(t);
+            const hash = this.getDedupeKey(t);
             if (seen.has(hash)) return false;
             seen.add(hash);
             return true;
@@ -2654,6 +6294,14 @@ class TransactionAnalyzer {
             const typ = (t.type || '').toLowerCase();
             const amount = t.amount;
             
+            // A matching classification rule decides the type outright (a check is a debit, or a credit when deposited)
+            if (t.ruleType) {
+                const ruleType = this.getPolicyType(t.ruleType, 'cash');
+                if (ruleType === 'checks') checks++;
+                if (ruleType === 'credits' || (ruleType === 'checks' && amount > 0)) credits++; else debits++;
+                continue;
+            }
+            
             // Check for check transactions
             if (this.isCheckTransaction(desc, t, {})) {
                 checks++;
@@ -2674,25 +6322,24 @@ class TransactionAnalyzer {
             }
         }
         
-        console.log(` Cash counts - Debits: ${debits}, Credits: ${credits}, Checks: ${checks}`);
-        return { debits, credits, checks, total: debits + credits, activePolicy: 'cash' };
+        console.log(` Cash counts - Debits: ${debits}, Credits: ${credits}, Checks: ${checks}, Pending excluded: ${pendingExcluded.length}`);
+        return { debits, credits, checks, total: debits + credits, pendingExcluded: pendingExcluded.length, transfersExcluded: transferExcluded.length, activePolicy: 'cash' };
     }
 
     countCreditTransactions(transactions) {
         let payments = 0, charges = 0, refunds = 0;
         
-        // Filter out pending transactions if posted transactions exist
-        const anyPosted = transactions.some(t => t.posted !== false);
-        const validTransactions = transactions.filter(t => {
+        // Filter out pending transactions unless they are included (or nothing has posted yet)
+        const { countable, pendingExcluded, transferExcluded } = this.splitPendingTransactions(transactions);
+        const validTransactions = countable.filter(t => {
             if (!t.date || (t.amount === null || t.amount === undefined)) return false;
-            if (anyPosted && t.posted === false) return false; // Exclude pending if posted exists
             return true;
         });
         
         // Remove duplicates based on hash
         const seen = new Set();
         const uniqueTransactions = validTransactions.filter(t => {
-            const hash = this.createTransactionHash(t);
+            const hash = this.getDedupeKey(t);
             if (seen.has(hash)) return false;
             seen.add(hash);
             return true;
@@ -2703,6 +6350,14 @@ class TransactionAnalyzer {
             const amount = t.amount;
             const absAmount = Math.abs(amount);
             
+            if (t.ruleType) {
+                const ruleType = this.getPolicyType(t.ruleType, 'credit');
+                if (ruleType === 'payments') payments++;
+                else if (ruleType === 'refunds') refunds++;
+                else charges++;
+                continue;
+            }
+            
             // Payment detection - payments are typically positive amounts with payment keywords
             // OR explicitly marked as payment/credit transactions
             if (/\b(payment|auto\s*pay|thank you|bill ?pay|pay\s*from|payment received)\b/i.test(text) ||
@@ -2737,12 +6392,356 @@ class TransactionAnalyzer {
             }
         }
         
-        console.log(` Credit counts - Payments: ${payments}, Charges: ${charges}, Refunds: ${refunds}`);
-        return { payments, charges, refunds, total: payments + charges + refunds, activePolicy: 'credit' };
+        console.log(` Credit counts - Payments: ${payments}, Charges: ${charges}, Refunds: ${refunds}, Pending excluded: ${pendingExcluded.length}`);
+        return { payments, charges, refunds, total: payments + charges + refunds, pendingExcluded: pendingExcluded.length, transfersExcluded: transferExcluded.length, activePolicy: 'credit' };
+    }
+
+    getRuleFields() {
+        return [
+            { value: 'description', label: 'Description' },
+            { value: 'amount', label: 'Amount' },
+            { value: 'checkNumber', label: 'Check Number' },
+            { value: 'status', label: 'Status' },
+            { value: 'type', label: 'Detected Type' }
+        ];
+    }
+
+    getRuleOperators() {
+        return [
+            { value: 'contains', label: 'contains' },
+            { value: 'starts-with', label: 'starts with' },
+            { value: 'equals', label: 'equals' },
+            { value: 'regex', label: 'matches regex' },
+            { value: 'greater-than', label: 'is greater than' },
+            { value: 'less-than', label: 'is less than' }
+        ];
+    }
+
+    getRuleResultTypes() {
+        return [
+            { value: 'debits', label: 'Debit' },
+            { value: 'credits', label: 'Credit' },
+            { value: 'checks', label: 'Check' },
+            { value: 'charges', label: 'Charge' },
+            { value: 'payments', label: 'Payment' },
+            { value: 'refunds', label: 'Refund' }
+        ];
+    }
+
+    getPolicyType(type, policy) {
+        // Rule types are written for either policy; each policy reads them in its own terms
+        const toCash = { charges: 'debits', payments: 'credits', refunds: 'credits' };
+        const toCredit = { debits: 'charges', checks: 'charges', credits: 'payments' };
+        return (policy === 'credit' ? toCredit[type] : toCash[type]) || type;
+    }
+
+    loadClassificationRules() {
+        const stored = this.readStorage(this.rulesStorageKey);
+        return Array.isArray(stored) ? stored.filter(rule => this.isValidClassificationRule(rule)) : [];
+    }
+
+    storeClassificationRules() {
+        return this.writeStorage(this.rulesStorageKey, this.classificationRules);
+    }
+
+    isValidClassificationRule(rule) {
+        return Boolean(rule && typeof rule.id === 'string' &&
+            this.getRuleFields().some(field => field.value === rule.field) &&
+            this.getRuleOperators().some(operator => operator.value === rule.operator) &&
+            this.getRuleResultTypes().some(type => type.value === rule.resultType) &&
+            typeof rule.value === 'string' && Number.isFinite(rule.priority));
+    }
+
+    getActiveClassificationRules() {
+        // In-scope rules, highest priority first (ties keep their list order); regex rules are compiled
+        // here once per run rather than once per row
+        return this.classificationRules
+            .filter(rule => rule.enabled !== false && rule.value !== '' &&
+                (!rule.bank || rule.bank === this.selectedBank) &&
+                (!rule.accountType || rule.accountType === this.selectedAccountType))
+            .map((rule, index) => ({ rule, index }))
+            .sort((a, b) => (b.rule.priority - a.rule.priority) || (a.index - b.index))
+            .map(({ rule }) => rule.operator === 'regex' ? { ...rule, pattern: this.compileRulePattern(rule.value) } : rule);
+    }
+
+    ruleMatches(rule, transaction) {
+        const raw = rule.field === 'type' ? transaction.detectedType : transaction[rule.field];
+        if (raw === undefined || raw === null) return false;
+        
+        const text = String(raw).toLowerCase();
+        const value = rule.value.toLowerCase();
+        switch (rule.operator) {
+            case 'contains':
+                return text.includes(value);
+            case 'starts-with':
+                return text.startsWith(value);
+            case 'equals':
+                return text === value;
+            case 'regex':
+                return rule.pattern ? rule.pattern.test(String(raw)) : false;
+            case 'greater-than':
+            case 'less-than': {
+                const number = rule.field === 'amount' ? raw : this.parseAmountEnhanced(String(raw));
+                const limit = this.parseAmountEnhanced(rule.value);
+                if (number === null || limit === null) return false;
+                return rule.operator === 'greater-than' ? number > limit : number < limit;
+            }
+            default:
+                return false;
+        }
+    }
+
+    compileRulePattern(source) {
+        // Every row is tested against the pattern, so long patterns and nested quantifiers such as (a+)+
+        // that can backtrack for minutes on one description are refused
+        if (source.length > 200 || /\((?:[^()\\]|\\.)*[+*}](?:[^()\\]|\\.)*\)[+*{]/.test(source)) {
+            return null;
+        }
+        try {
+            return new RegExp(source, 'i');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    applyClassificationRules(transactions) {
+        const rules = this.getActiveClassificationRules();
+        transactions.forEach(t => {
+            // Rules always start from the pipeline's own type, so editing a rule never compounds
+            if (t.detectedType === undefined) {
+                t.detectedType = t.type;
+            }
+            const rule = rules.find(rule => this.ruleMatches(rule, t));
+            if (rule) {
+                t.ruleId = rule.id;
+                t.ruleType = rule.resultType;
+                t.type = this.getPolicyType(rule.resultType, 'cash');
+            } else {
+                delete t.ruleId;
+                delete t.ruleType;
+                t.type = t.detectedType;
+            }
+        });
+    }
+
+    getCategoryTaxonomy() {
+        // Built-in merchant and keyword taxonomy, checked top to bottom; `direction` limits a category to money in or out
+        return [
+            { category: 'Payroll', direction: 'in', keywords: ['payroll', 'direct dep', 'dir dep', 'salary', 'wages', 'adp', 'paychex', 'gusto'] },
+            { category: 'Transfers', keywords: ['transfer', 'xfer', 'trnsfr', 'zelle', 'venmo', 'paypal transfer', 'wire'] },
+            { category: 'Fees', direction: 'out', keywords: ['fee', 'service charge', 'overdraft', 'nsf', 'interest charge', 'finance charge', 'late charge'] },
+            { category: 'Interest', direction: 'in', keywords: ['interest', 'int paid', 'dividend'] },
+            { category: 'Rent', direction: 'out', keywords: ['rent', 'lease', 'landlord', 'property management', 'apartments'] },
+            { category: 'Utilities', direction: 'out', keywords: ['utility', 'utilities', 'electric', 'water', 'sewer', 'gas co', 'pg&e', 'con ed', 'duke energy', 'comcast', 'xfinity', 'spectrum', 'verizon', 'at&t', 't-mobile', 'internet'] },
+            { category: 'Fuel', direction: 'out', keywords: ['fuel', 'gas station', 'shell', 'chevron', 'exxon', 'mobil', 'bp', 'texaco', 'sunoco', 'valero', 'citgo', 'marathon', 'speedway', 'wawa', 'circle k'] },
+            { category: 'Groceries', direction: 'out', keywords: ['grocery', 'supermarket', 'market', 'safeway', 'kroger', 'whole foods', 'trader joe', 'aldi', 'publix', 'wegmans', 'albertsons', 'costco', 'food lion', 'h-e-b'] },
+            { category: 'Dining', direction: 'out', keywords: ['restaurant', 'cafe', 'coffee', 'starbucks', 'mcdonald', 'chipotle', 'doordash', 'grubhub', 'uber eats', 'pizza'] },
+            { category: 'Insurance', direction: 'out', keywords: ['insurance', 'geico', 'state farm', 'progressive', 'allstate'] },
+            { category: 'Cash Withdrawals', direction: 'out', keywords: ['atm', 'cash withdrawal', 'withdrawal'] }
+        ];
+    }
+
+    getCategoryNames() {
+        // Built-in categories first, then the ones users added
+        const names = this.getCategoryTaxonomy().map(entry => entry.category);
+        this.customCategoryKeywords.forEach(entry => {
+            if (!names.includes(entry.category)) names.push(entry.category);
+        });
+        return [...names, 'Uncategorized'];
+    }
+
+    loadCustomCategoryKeywords() {
+        const stored = this.readStorage(this.categoryStorageKey);
+        return Array.isArray(stored) ? stored.filter(entry => this.isValidCategoryKeyword(entry)) : [];
+    }
+
+    storeCustomCategoryKeywords() {
+        return this.writeStorage(this.categoryStorageKey, this.customCategoryKeywords);
+    }
+
+    isValidCategoryKeyword(entry) {
+        return Boolean(entry && typeof entry.category === 'string' && entry.category.trim() !== '' &&
+            typeof entry.keyword === 'string' && entry.keyword.trim() !== '');
+    }
+
+    getCategoryMatchers() {
+        // User keywords win over the built-in taxonomy and apply in either direction
+        const toPattern = (keywords) => {
+            const alternatives = keywords.map(keyword => keyword.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+'));
+            // Whole words only, so "fee" never matches "coffee" and "rent" never matches "current"
+            return new RegExp(`(^|[^a-z0-9])(${alternatives.join('|')})(?![a-z0-9])`, 'i');
+        };
+        return [
+            ...this.customCategoryKeywords.map(entry => ({ category: entry.category.trim(), pattern: toPattern([entry.keyword]) })),
+            ...this.getCategoryTaxonomy().map(entry => ({ category: entry.category, direction: entry.direction, pattern: toPattern(entry.keywords) }))
+        ];
+    }
+
+    categorizeTransactions(transactions) {
+        const matchers = this.getCategoryMatchers();
+        transactions.forEach(t => {
+            const direction = t.amount > 0 ? 'in' : 'out';
+            const matcher = matchers.find(matcher =>
+                (!matcher.direction || matcher.direction === direction) && matcher.pattern.test(t.description || ''));
+            t.category = matcher ? matcher.category : 'Uncategorized';
+        });
+    }
+
+    groupTransactionsByCategory(transactions) {
+        // Category -> month -> { count, totals }, in taxonomy order with Uncategorized last; totals are kept
+        // per currency ({ USD: -60, CAD: -55 }) because amounts in different currencies can't be added up
+        const groups = {};
+        const addRow = (entry, t) => {
+            const currency = this.getTransactionCurrency(t);
+            entry.count++;
+            entry.totals[currency] = (entry.totals[currency] || 0) + t.amount;
+        };
+        this.getCategoryNames().forEach(category => {
+            const rows = transactions.filter(t => t.category === category);
+            if (rows.length === 0) return;
+            const group = { count: 0, totals: {}, months: {} };
+            rows.forEach(t => {
+                const month = this.getMonthKey(t.date);
+                group.months[month] = group.months[month] || { count: 0, totals: {} };
+                addRow(group.months[month], t);
+                addRow(group, t);
+            });
+            groups[category] = group;
+        });
+        return groups;
+    }
+
+    splitPendingTransactions(transactions) {
+        // Pending rows are left out of counts and summaries unless the user includes them;
+        // a file holding nothing but pending rows is counted as-is.
+        // Matched internal transfers are left out as well once the user excludes them
+        const transferExcluded = this.excludeTransfers ? transactions.filter(t => t.transferPairId) : [];
+        const candidates = transferExcluded.length > 0 ? transactions.filter(t => !t.transferPairId) : transactions;
+        const anyPosted = candidates.some(t => t.posted !== false);
+        if (this.includePending || !anyPosted) {
+            return { countable: candidates, pendingExcluded: [], transferExcluded };
+        }
+        return {
+            countable: candidates.filter(t => t.posted !== false),
+            pendingExcluded: candidates.filter(t => t.posted === false),
+            transferExcluded
+        };
+    }
+
+    storeCurrentAccount(fileName) {
+        // A re-upload of the same account (or a re-run after its answers change) replaces the stored one
+        const account = {
+            id: [this.selectedBank, this.selectedAccountType, this.lastFourDigits].join('|'),
+            bank: this.selectedBank,
+            accountType: this.selectedAccountType,
+            lastFourDigits: this.lastFourDigits || this.getStatementLastFour(),
+            baseCurrency: this.getBaseCurrency(),
+            fileName,
+            transactions: this.transactions
+        };
+        this.accounts = [...this.accounts.filter(existing => existing.id !== account.id && existing.id !== this.currentAccountId), account];
+        this.currentAccountId = account.id;
+    }
+
+    getAccountLabel(account) {
+        const bank = account.bank ? this.getBankOptionLabel(account.bank) : 'Account';
+        const type = account.accountType ? ` ${this.getAccountTypeLabel(account.accountType)}` : '';
+        return `${bank}${type}${account.lastFourDigits ? ` ••${account.lastFourDigits}` : ''}`;
+    }
+
+    getDaysBetween(a, b) {
+        const days = Math.abs(Date.parse(a) - Date.parse(b)) / 86400000;
+        return Number.isFinite(days) ? Math.round(days) : null;
+    }
+
+    getTransferEvidence(entry, other) {
+        // What one side's description says: transfer wording, the other account's last four digits or its type
+        const description = entry.transaction.description || '';
+        const evidence = [];
+        if (/\b(transfer|xfer|trnsfr|tfr)\b/i.test(description)) {
+            evidence.push({ kind: 'wording', weight: 1, text: `"${description}" reads as a transfer` });
+        }
+        const lastFour = other.account.lastFourDigits;
+        if (lastFour && new RegExp(`(^|\\D)${lastFour}(?!\\d)`).test(description)) {
+            evidence.push({ kind: 'last-four', weight: 2, text: `"${description}" names the account ending ${lastFour}` });
+        }
+        const typeWords = { checking: /\b(chk|checking|dda)\b/i, savings: /\b(sav|savings)\b/i, 'credit-card': /\b(card|crd)\b/i };
+        const typeWord = typeWords[other.account.accountType];
+        if (typeWord && typeWord.test(description)) {
+            evidence.push({ kind: 'account-type', weight: 1, text: `"${description}" names a ${this.getAccountTypeLabel(other.account.accountType).toLowerCase()}` });
+        }
+        return evidence;
+    }
+
+    matchInternalTransfers() {
+        // Money out of one uploaded account and the same amount in the same currency into another within a
+        // few days, backed by transfer wording or the other account's last four digits; each row joins at most one pair
+        const entries = this.accounts.flatMap(account => account.transactions.map(transaction => ({ account, transaction })));
+        entries.forEach(({ transaction }) => {
+            delete transaction.transferPairId;
+            delete transaction.transferAccount;
+        });
+        
+        const candidates = [];
+        entries.filter(entry => entry.transaction.amount < 0).forEach(out => {
+            entries.forEach(into => {
+                if (into.account === out.account || !(into.transaction.amount > 0)) return;
+                if (Math.abs(out.transaction.amount + into.transaction.amount) >= 0.005) return;
+                if (this.getTransactionCurrency(out.transaction, out.account.baseCurrency) !==
+                    this.getTransactionCurrency(into.transaction, into.account.baseCurrency)) return;
+                const days = this.getDaysBetween(out.transaction.date, into.transaction.date);
+                if (days === null || days > this.transferWindowDays) return;
+                
+                const outEvidence = this.getTransferEvidence(out, into);
+                const evidence = [...outEvidence, ...this.getTransferEvidence(into, out)];
+                // A matching account type alone is too weak: plenty of equal amounts cross on the same days
+                if (!evidence.some(item => item.kind !== 'account-type')) return;
+                // "Transfer from Checking" says nothing about which checking row sent it, so the money-out row
+                // must read as a transfer too unless the last four digits tie the two rows together
+                if (outEvidence.length === 0 && !evidence.some(item => item.kind === 'last-four')) return;
+                const score = evidence.reduce((sum, item) => sum + item.weight, 0);
+                candidates.push({ out, into, days, evidence, score });
+            });
+        });
+        
+        // Strongest evidence first, then the closest dates
+        candidates.sort((a, b) => (b.score - a.score) || (a.days - b.days));
+        const used = new Set();
+        this.transferPairs = [];
+        candidates.forEach(candidate => {
+            if (used.has(candidate.out.transaction) || used.has(candidate.into.transaction)) return;
+            used.add(candidate.out.transaction);
+            used.add(candidate.into.transaction);
+            
+            const id = `transfer-${this.transferPairs.length + 1}`;
+            candidate.out.transaction.transferPairId = id;
+            candidate.out.transaction.transferAccount = this.getAccountLabel(candidate.into.account);
+            candidate.into.transaction.transferPairId = id;
+            candidate.into.transaction.transferAccount = this.getAccountLabel(candidate.out.account);
+            this.transferPairs.push({
+                id,
+                from: candidate.out,
+                to: candidate.into,
+                amount: Math.abs(candidate.out.transaction.amount),
+                days: candidate.days,
+                linked: candidate.evidence.some(item => item.kind === 'last-four'),
+                evidence: candidate.evidence.map(item => item.text)
+            });
+        });
+        
+        return this.transferPairs;
+    }
+
+    getDedupeKey(transaction) {
+        // Bank-assigned transaction IDs (OFX FITID) are authoritative when present
+        if (transaction.fitId) {
+            return `fitid:${transaction.fitId}`;
+        }
+        return this.createTransactionHash(transaction);
     }
 
     createTransactionHash(transaction) {
-        const date = transaction.date ? transaction.date.toISOString().split('T')[0] : '';
+        const date = transaction.date || '';
         const description = (transaction.description || '').toLowerCase().trim();
         const amount = transaction.amount || 0;
         const type = (transaction.type || '').toLowerCase();
@@ -2791,9 +6790,9 @@ class TransactionAnalyzer {
             // Parse the file
             const transactions = await this.parseSpreadsheet(file);
             
-            // Use user-selected account type
-            const accountType = this.selectedAccountType || 'cash';
-            console.log(` Using user-selected account type: ${accountType}`);
+            // Use user-selected account type unless the file declares one (QIF !Type:CCard, OFX CCSTMTRS)
+            const accountType = this.resolveAccountPolicy(transactions);
+            console.log(` Using account type: ${accountType}`);
             
             // Count transactions based on account type
             const counts = this.countTransactions(transactions, accountType);
@@ -2801,6 +6800,7 @@ class TransactionAnalyzer {
             // Update parsing flags
             this.parsingFlags.tableConfidence = this.calculateTableConfidence(transactions);
             this.parsingFlags.locale = this.detectLocale(transactions);
+            this.parsingFlags.baseCurrency = this.detectBaseCurrency(transactions);
             
             // Store results
             this.transactions = transactions;
@@ -2828,23 +6828,9 @@ class TransactionAnalyzer {
     }
 
     detectLocale(transactions) {
-        // Simple locale detection based on date formats
-        const sampleDates = transactions.slice(0, 5).map(t => t.rawDate || t.date);
-        
-        for (const dateStr of sampleDates) {
-            if (typeof dateStr === 'string') {
-                // Check for DD/MM/YYYY format (European)
-                if (/\d{1,2}\/\d{1,2}\/\d{4}/.test(dateStr)) {
-                    return 'en-GB';
-                }
-                // Check for MM/DD/YYYY format (US)
-                if (/\d{1,2}\/\d{1,2}\/\d{4}/.test(dateStr)) {
-                    return 'en-US';
-                }
-            }
-        }
-        
-        return 'en-US'; // Default
+        // Day-first numeric dates mean a British/European export; the order itself comes from detectDateOrder
+        const hasNumericDates = transactions.some(t => this.splitNumericDate(t.rawDate));
+        return hasNumericDates && this.getDateOrder() === 'DMY' ? 'en-GB' : 'en-US';
     }
 
     // Comprehensive Output Contract
@@ -2852,6 +6838,9 @@ class TransactionAnalyzer {
         const warnings = [];
         
         // Collect warnings
+        if (this.hasAccountTypeDisagreement()) {
+            warnings.push(`Selected account type (${this.selectedAccountType}) differs from the data, which looks like ${this.accountTypeGuess.accountType}`);
+        }
         if (this.parsingFlags.rowDriftBlocked) {
             warnings.push('Row drift detected and blocked - using fallback parsing');
         }
@@ -2864,19 +6853,49 @@ class TransactionAnalyzer {
         if (this.parsingFlags.usedFallbacks.length > 0) {
             warnings.push(`Used fallbacks: ${this.parsingFlags.usedFallbacks.join(', ')}`);
         }
+        const reconciliation = this.reconcileStatementBalances(this.transactions);
+        if (reconciliation && !reconciliation.balanced) {
+            warnings.push(`Opening and closing balances differ from the booked entries by ${reconciliation.difference.toFixed(2)}`);
+        }
+        
+        const runningBalances = this.reconcileRunningBalances(this.transactions);
+        if (runningBalances && !runningBalances.balanced) {
+            warnings.push(`Running balance breaks on ${runningBalances.breaks.length} of ${runningBalances.checked} rows`);
+        }
+        
+        const accountMismatch = this.getAccountMismatchWarning();
+        if (accountMismatch) {
+            warnings.push(accountMismatch);
+        }
+        
+        const foreignRows = this.getForeignCurrencyTransactions(this.transactions);
+        if (foreignRows.length > 0) {
+            warnings.push(`${foreignRows.length} row${foreignRows.length === 1 ? ' is' : 's are'} not in the base currency ${this.getBaseCurrency()}`);
+        }
         
         // Generate sample rows (limited to 5)
         const sampleRows = this.transactions.slice(0, 5).map(t => ({
-            date: t.date ? t.date.toISOString().split('T')[0] : null,
+            date: t.date || null,
             description: t.description || '',
             type: t.type || '',
             amount: t.amount || null,
-            debit: null,
-            credit: null,
-            checkNumber: null
+            debit: t.debit ?? null,
+            credit: t.credit ?? null,
+            checkNumber: t.checkNumber ?? null,
+            category: t.category || null,
+            currency: this.getTransactionCurrency(t),
+            sourceLine: t.sourceLine || null
         }));
         
         // Generate debug info
+        // Workbooks report every scored sheet; other sources count as a single sheet
+        const hasWorkbook = this.workbookSheets.length > 0;
+        const sheetUsed = hasWorkbook ? this.activeSheetSelection : sheetName;
+        const sheetsAnalyzed = hasWorkbook ? this.workbookSheets.map(sheet => sheet.name) : [sheetName];
+        const sheetScores = hasWorkbook ?
+            this.workbookSheets.map(sheet => ({ sheet: sheet.name, score: sheet.score, transactions: sheet.transactions.length })) :
+            [{ sheet: sheetName, score: this.parsingFlags.tableConfidence }];
+        
         const debug = {
             rowChecks: {
                 stages: ['load', 'unmerge', 'normalize', 'joinWraps'],
@@ -2885,9 +6904,7 @@ class TransactionAnalyzer {
                 rowCount: this.transactions.length,
                 colCount: this.transactions.length > 0 ? Object.keys(this.transactions[0]).length : 0
             },
-            sheetScores: [
-                { sheet: sheetName, score: this.parsingFlags.tableConfidence }
-            ]
+            sheetScores
         };
         
         // Generate counts by type
@@ -2897,16 +6914,78 @@ class TransactionAnalyzer {
             activePolicy: this.accountType || 'unknown'
         };
         
+        // Statement balances from formats that carry them (camt.053 OPBD/CLBD, MT940 :60F:/:62F:),
+        // plus the row-by-row check of a running Balance column
+        const balances = {
+            opening: this.statementInfo.openingBalance || null,
+            closing: this.statementInfo.closingBalance || null,
+            reconciliation: this.reconcileStatementBalances(this.transactions),
+            runningBalance: runningBalances ? {
+                order: runningBalances.order,
+                checked: runningBalances.checked,
+                balanced: runningBalances.balanced,
+                monthly: this.getMonthlyBalances(runningBalances),
+                breaks: runningBalances.breaks.map(balanceBreak => ({
+                    date: balanceBreak.transaction.date || null,
+                    description: balanceBreak.transaction.description,
+                    sourceLine: balanceBreak.transaction.sourceLine || null,
+                    kind: balanceBreak.kind,
+                    expected: balanceBreak.expected,
+                    actual: balanceBreak.actual,
+                    difference: balanceBreak.difference
+                }))
+            } : null
+        };
+        
+        // Transfers matched against the client's other uploaded accounts
+        const internalTransfers = {
+            accounts: this.accounts.map(account => ({
+                account: this.getAccountLabel(account),
+                fileName: account.fileName || null,
+                transactions: account.transactions.length
+            })),
+            excluded: this.excludeTransfers,
+            pairs: this.transferPairs.map(pair => ({
+                amount: pair.amount,
+                days: pair.days,
+                linked: pair.linked,
+                from: { account: this.getAccountLabel(pair.from.account), date: pair.from.transaction.date || null, description: pair.from.transaction.description },
+                to: { account: this.getAccountLabel(pair.to.account), date: pair.to.transaction.date || null, description: pair.to.transaction.description },
+                evidence: pair.evidence
+            }))
+        };
+        
         return {
             fileInfo: {
                 name: fileName,
-                sheetUsed: sheetName,
-                sheetsAnalyzed: [sheetName],
-                currency: 'USD',
+                sheetUsed,
+                sheetsAnalyzed,
+                mergedSheets: sheetUsed === 'merged' ? [...this.mergedSheetNames] : [],
+                currency: this.getBaseCurrency(),
+                currencies: Object.fromEntries(Object.entries(this.groupTransactionsByCurrency(this.transactions))
+                    .map(([currency, rows]) => [currency, rows.length])),
+                accountLastFour: this.getStatementLastFour(),
+                statementPeriod: this.statementInfo.periodStart || this.statementInfo.periodEnd ? {
+                    start: this.statementInfo.periodStart || null,
+                    end: this.statementInfo.periodEnd || null
+                } : null,
+                encoding: this.parsingFlags.encoding,
+                delimiter: this.parsingFlags.delimiter,
+                amountLayout: this.columnMapping ? this.columnMapping.amountLayout : null,
+                amountNotations: this.getAmountNotationSummary(this.transactions),
+                rulesApplied: this.transactions.filter(t => t.ruleId).length,
+                categories: Object.fromEntries(Object.entries(this.groupTransactionsByCategory(this.transactions))
+                    .map(([category, group]) => [category, group.count])),
                 accountType: this.accountType || 'unknown',
-                bankGuessed: 'unknown'
+                bankGuessed: this.bankGuess ? this.bankGuess.bank : 'unknown',
+                bankGuessConfidence: this.bankGuess ? this.bankGuess.confidence : 0,
+                accountTypeGuessed: this.accountTypeGuess ? this.accountTypeGuess.accountType : 
+                    (this.bankGuess && this.bankGuess.accountType ? this.bankGuess.accountType : 'unknown'),
+                accountTypeConfidence: this.accountTypeGuess ? this.accountTypeGuess.confidence : 0
             },
             parsingFlags: { ...this.parsingFlags },
+            balances,
+            internalTransfers,
             countsByType,
             warnings,
             sampleRows,
@@ -2924,6 +7003,16 @@ class TransactionAnalyzer {
             diagnosticsInfo.remove();
         }
         
+        const amountNotations = Object.entries(this.getAmountNotationSummary(this.transactions))
+            .map(([notation, count]) => `${notation.replace(/-/g, ' ')} (${count})`);
+        
+        // Rows in another currency than the account's are flagged (first 10 listed)
+        const baseCurrency = this.getBaseCurrency();
+        const foreignRows = this.getForeignCurrencyTransactions(this.transactions);
+        const foreignItems = foreignRows.slice(0, 10).map(t => `
+            <li>${this.formatCalendarDate(t.date)} ${this.escapeHtml(t.description)}${t.sourceLine ? ` (line ${t.sourceLine})` : ''}: ${this.formatAmount(t.amount, t.currency)}</li>
+        `).join('');
+        
         diagnosticsInfo = document.createElement('div');
         diagnosticsInfo.id = 'diagnosticsInfo';
         diagnosticsInfo.className = 'column-detection';
@@ -2946,8 +7035,29 @@ class TransactionAnalyzer {
                     <span class="detection-label">Processing Mode:</span>
                     <span class="detection-value">${this.parsingFlags.usedFallbacks.length > 0 ? 'Fallback' : 'Standard'}</span>
                 </div>
+                <div class="detection-item">
+                    <span class="detection-label">Text Encoding:</span>
+                    <span class="detection-value">${this.parsingFlags.encoding ? this.parsingFlags.encoding.toUpperCase() : 'n/a (binary file)'}</span>
+                </div>
+                <div class="detection-item">
+                    <span class="detection-label">Delimiter:</span>
+                    <span class="detection-value">${this.parsingFlags.delimiter ? this.getDelimiterName(this.parsingFlags.delimiter) : 'n/a'}</span>
+                </div>
+                <div class="detection-item">
+                    <span class="detection-label">Amount Notation:</span>
+                    <span class="detection-value">${amountNotations.length > 0 ? amountNotations.join(', ') : 'Plain numbers'}</span>
+                </div>
+                <div class="detection-item">
+                    <span class="detection-label">Base Currency:</span>
+                    <span class="detection-value">${baseCurrency}</span>
+                </div>
+                <div class="detection-item">
+                    <span class="detection-label">Other Currencies:</span>
+                    <span class="detection-value">${foreignRows.length > 0 ? ` ${foreignRows.length} row${foreignRows.length === 1 ? '' : 's'}` : 'None'}</span>
+                </div>
             </div>
             <p class="detection-note">Advanced diagnostics for troubleshooting parsing issues.</p>
+            ${foreignItems ? `<p class="detection-note">Rows not in ${baseCurrency}${foreignRows.length > 10 ? ' (first 10 shown)' : ''}:</p><ul class="detection-note">${foreignItems}</ul>` : ''}
         `;
         
         // Insert before the summary section
@@ -3036,11 +7146,12 @@ class TransactionAnalyzer {
             sheetName: 'Sheet1',
             columnNames: [] // Will be populated later if needed
         };
-        const accountType = this.selectedAccountType || 'cash';
+        const accountType = this.resolveAccountPolicy(transactions);
         const counts = this.countTransactions(transactions, accountType);
         
         this.parsingFlags.tableConfidence = this.calculateTableConfidence(transactions);
         this.parsingFlags.locale = this.detectLocale(transactions);
+        this.parsingFlags.baseCurrency = this.detectBaseCurrency(transactions);
         
         return { transactions, accountType, counts };
     }
@@ -3085,6 +7196,31 @@ class TransactionAnalyzer {
             }
         }
         
+        // Reconcile statement opening/closing balances against the booked entries
+        const reconciliation = this.reconcileStatementBalances(transactions);
+        if (reconciliation && !reconciliation.balanced) {
+            warnings.push(`Statement balances do not reconcile: opening ${reconciliation.opening.toFixed(2)} + booked entries ${reconciliation.bookedTotal.toFixed(2)} = ${reconciliation.expectedClosing.toFixed(2)}, but closing balance is ${reconciliation.closing.toFixed(2)}`);
+        }
+        
+        // Chain the running Balance column row by row
+        const runningBalances = this.reconcileRunningBalances(transactions);
+        if (runningBalances && !runningBalances.balanced) {
+            warnings.push(`Running balance breaks on ${runningBalances.breaks.length} of ${runningBalances.checked} rows (likely missing, duplicated or mis-signed transactions)`);
+        }
+        
+        // The file names a different account than the one entered on the account information form
+        const accountMismatch = this.getAccountMismatchWarning();
+        if (accountMismatch) {
+            warnings.push(accountMismatch);
+        }
+        
+        // Rows in another currency than the account's base currency are not like-for-like with the rest
+        const baseCurrency = this.detectBaseCurrency(transactions);
+        const foreignRows = transactions.filter(t => t.currency && t.currency !== baseCurrency);
+        if (foreignRows.length > 0) {
+            warnings.push(`${foreignRows.length} row${foreignRows.length === 1 ? ' is' : 's are'} in a different currency than the base currency ${baseCurrency}`);
+        }
+        
         // Check for reasonableness (if Balance exists)
         if (counts && counts.total > 0) {
             // Basic sanity check - total should be reasonable
@@ -3105,6 +7241,101 @@ class TransactionAnalyzer {
         return warnings;
     }
 
+    reconcileStatementBalances(transactions) {
+        const { openingBalance, closingBalance } = this.statementInfo || {};
+        if (!openingBalance || !closingBalance) {
+            return null;
+        }
+        
+        // Pending entries are not part of the booked closing balance
+        const bookedTotal = transactions
+            .filter(t => t.posted !== false)
+            .reduce((sum, t) => sum + (t.amount || 0), 0);
+        const expectedClosing = openingBalance.amount + bookedTotal;
+        const difference = closingBalance.amount - expectedClosing;
+        
+        return {
+            opening: openingBalance.amount,
+            closing: closingBalance.amount,
+            bookedTotal,
+            expectedClosing,
+            difference,
+            balanced: Math.abs(difference) < 0.005
+        };
+    }
+
+    reconcileRunningBalances(transactions) {
+        // Only rows carrying a running balance can be chained (pending rows usually have none)
+        const rows = transactions.filter(t => typeof t.balance === 'number' && typeof t.amount === 'number');
+        if (rows.length < 2) {
+            return null;
+        }
+        
+        // Exports list either oldest or newest first; the order in which more rows chain is the real one
+        const countChained = (sequence) => sequence.slice(1)
+            .filter((t, i) => Math.abs(sequence[i].balance + t.amount - t.balance) < 0.005).length;
+        const reversed = [...rows].reverse();
+        const newestFirst = countChained(reversed) > countChained(rows);
+        const sequence = newestFirst ? reversed : rows;
+        
+        const breaks = [];
+        for (let i = 1; i < sequence.length; i++) {
+            const previous = sequence[i - 1];
+            const current = sequence[i];
+            const expected = previous.balance + current.amount;
+            const difference = current.balance - expected;
+            if (Math.abs(difference) < 0.005) continue;
+            
+            // Classify the break: an unchanged balance means the row was already counted, a balance that
+            // matches the opposite sign means the amount was mis-signed, anything else is a gap
+            let kind = 'missing';
+            if (current.amount !== 0 && Math.abs(current.balance - previous.balance) < 0.005) {
+                kind = 'duplicated';
+            } else if (Math.abs(previous.balance - current.amount - current.balance) < 0.005) {
+                kind = 'mis-signed';
+            }
+            
+            breaks.push({ transaction: current, expected, actual: current.balance, difference, kind });
+        }
+        
+        return {
+            order: newestFirst ? 'newest-first' : 'oldest-first',
+            checked: sequence.length - 1,
+            breaks,
+            balanced: breaks.length === 0,
+            sequence
+        };
+    }
+
+    getMonthlyBalances(reconciliation) {
+        // Opening = balance before the month's first row, closing = balance after its last row
+        const monthlyBalances = {};
+        reconciliation.sequence.forEach(t => {
+            const monthKey = this.getMonthKey(t.date);
+            if (!monthlyBalances[monthKey]) {
+                monthlyBalances[monthKey] = { opening: t.balance - t.amount, closing: t.balance, breaks: 0 };
+            }
+            monthlyBalances[monthKey].closing = t.balance;
+        });
+        reconciliation.breaks.forEach(balanceBreak => {
+            const monthKey = this.getMonthKey(balanceBreak.transaction.date);
+            monthlyBalances[monthKey].breaks++;
+        });
+        return monthlyBalances;
+    }
+
+    describeBalanceBreak(balanceBreak) {
+        const amount = Math.abs(balanceBreak.difference).toFixed(2);
+        switch (balanceBreak.kind) {
+            case 'duplicated':
+                return 'Balance did not change - this row is likely a duplicate';
+            case 'mis-signed':
+                return 'Balance moved the opposite way - the amount is likely mis-signed';
+            default:
+                return `Balance is off by ${balanceBreak.difference < 0 ? '-' : ''}${amount} - a transaction is likely missing`;
+        }
+    }
+
     // Enhanced error handling with recovery
     async processFileWithRecovery(file) {
         console.log(' Starting file processing with recovery...');
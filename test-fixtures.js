@@ -5,10 +5,21 @@ class TransactionAnalyzerTests {
     constructor() {
         this.analyzer = new TransactionAnalyzer();
         this.testResults = [];
+        
+        // Saved profiles go to an in-memory store that each test starts empty, never this browser's storage
+        this.storage = {};
+        this.analyzer.readStorage = (key) => this.storage[key] === undefined ? null : JSON.parse(this.storage[key]);
+        this.analyzer.writeStorage = (key, value) => {
+            this.storage[key] = JSON.stringify(value);
+            return true;
+        };
     }
 
     // Test Fixtures
     getTestFixtures() {
+        // A PDF.js text item: its string, a transform whose last two entries are the x/y position, and its width
+        const pdfItem = (str, x, y, width) => ({ str, transform: [10, 0, 0, 10, x, y], width });
+        
         return {
             // CSV with quoted commas/newlines in Description
             csvQuotedCommas: `Date,Description,Amount,Type
@@ -23,6 +34,112 @@ class TransactionAnalyzerTests {
 2024-01-03,ATM Withdrawal,-20.00,0,
 2024-01-04,Check #1002,-75.00,0,1002`,
 
+            // Unsigned Withdrawals/Deposits pair next to a running Balance (which must never be read as the amount)
+            pairedUnsignedColumns: `Date,Description,Withdrawals,Deposits,Balance
+01/02/2024,Grocery Outlet,45.10,,954.90
+01/03/2024,ACME Payroll,,1200.00,2154.90
+01/04/2024,Rent,900.00,,1254.90`,
+
+            // Check numbers in a "Chk No" column; the descriptions read like payments
+            checkNumberColumn: `Date,Description,Amount,Chk No
+01/05/2024,Payment to J Smith Landscaping,-150.00,2041
+01/06/2024,Grocery Outlet,-20.00,
+01/09/2024,Payment to City Water,-60.00,2042
+01/10/2024,ACME Payroll,900.00,`,
+
+            // Headerless export with an unlabelled, mostly blank check-number column
+            headerlessCheckSequence: `"01/03/2024","-45.00","*","","GROCERY OUTLET"
+"01/04/2024","-120.00","*","3051","CHECK"
+"01/05/2024","1500.00","*","","ACME PAYROLL"
+"01/08/2024","-80.00","*","3052","CHECK"`,
+
+            // Newest-first export whose running balance exposes a duplicate, a mis-signed refund and a missing row
+            runningBalanceBreaks: `Date,Description,Amount,Balance
+01/15/2024,Coffee,-4.00,511.00
+01/12/2024,Service Fee,-5.00,515.00
+01/09/2024,Rent,-900.00,570.00
+01/05/2024,Store Refund,-20.00,1470.00
+01/03/2024,ACME Payroll,500.00,1450.00
+01/03/2024,ACME Payroll,500.00,1450.00
+01/02/2024,Grocery Outlet,-50.00,950.00`,
+
+            // Export whose preamble names the account, period and statement balances
+            statementPreamble: `Account Number:,XXXX1234
+Statement Period:,01/01/2024 - 01/31/2024
+Beginning Balance:,"$1,000.00"
+Ending Balance:,"$1,350.00"
+
+Date,Description,Amount
+01/05/2024,Grocery Outlet,-150.00
+01/15/2024,ACME Payroll,500.00`,
+
+            // UK export: 13/01 only reads day-first, so 02/01 and 05/01 are January too
+            dayFirstDates: `Date,Description,Amount
+02/01/2024,Tesco Stores,-23.40
+05/01/2024,Salary,2100.00
+13/01/2024,Council Tax,-145.00`,
+
+            // Every day and month is 12 or lower; only the day-first reading keeps the rows in date order
+            dayFirstOrdering: `Date,Description,Amount
+03/01/2024,Pret A Manger,-6.20
+07/01/2024,Oyster Top-up,-20.00
+11/01/2024,Salary,2100.00
+02/02/2024,Tesco Stores,-31.75`,
+
+            // ISO first-of-month dates must stay in their own month in every timezone
+            firstOfMonthDates: `Date,Description,Amount
+2024-01-31,Grocery Outlet,-42.10
+2024-02-01,Rent,-900.00
+2024-03-01,ACME Payroll,1500.00`,
+
+            // Canadian account export with a Currency column and one US-dollar purchase
+            currencyColumn: `Date,Description,Amount,Currency
+01/05/2024,Tim Hortons,-4.25,CAD
+01/07/2024,Amazon.com,-30.00,USD
+01/10/2024,Payroll,2000.00,CAD`,
+
+            // Currency symbols on the amounts themselves
+            currencySymbols: `Date,Description,Amount
+2024-01-03,Boulangerie Paul,€-12.50
+2024-01-05,Salaire,"€1,500.00"
+2024-01-09,London Hotel,£-120.00`,
+
+            // Amounts in accounting, bank-statement and Swiss notations
+            amountNotations: `Date,Description,Amount
+01/02/2024,Hardware Store,(123.45)
+01/03/2024,Grocery Outlet,45.10-
+01/04/2024,ACME Payroll,"1,500.00 CR"
+01/05/2024,Utility Bill,82.00 DR
+01/08/2024,Zurich Transfer,1'234.50
+01/09/2024,Card Fee,\u22122.50
+01/10/2024,Wire Out,USD\u00A0300.00-
+01/11/2024,Equipment Lease,"-1,234"`,
+
+            // Column names no detector knows, mapped by hand in the column mapping editor
+            manualColumnMapping: `Export generated 2024-02-01
+Val,Posted On,Narrative,Ref
+-42.10,01/04/2024,Corner Market,A1
+1200.00,01/05/2024,Employer Payroll,A2
+-15.00,01/09/2024,Parking Garage,A3`,
+
+            // The same bank after it renamed its columns, so a profile saved for the old headers no longer fits
+            renamedColumns: `Export generated 2024-03-01
+Amount,Date,Description,Reference
+-42.10,01/04/2024,Corner Market,A1
+1200.00,01/05/2024,Employer Payroll,A2`,
+
+            // Chase credit card download, identified by its header layout
+            chaseCardExport: `Transaction Date,Post Date,Description,Category,Type,Amount,Memo
+01/03/2024,01/04/2024,STARBUCKS STORE 1234,Food & Drink,Sale,-5.75,
+01/10/2024,01/11/2024,Payment Thank You-Mobile,,Payment,500.00,
+01/12/2024,01/13/2024,AMAZON MKTPLACE,Shopping,Sale,-42.10,`,
+
+            // Chase checking download: its header layout and ACH descriptions identify the bank
+            chaseCheckingExport: `Details,Posting Date,Description,Amount,Type,Balance,Check or Slip #
+DEBIT,01/03/2024,"ORIG CO NAME:COMCAST ORIG ID:9000012345 DESC DATE:010324 CO ENTRY DESCR:CABLE",-89.99,ACH_DEBIT,1910.01,,
+CREDIT,01/05/2024,"ORIG CO NAME:ACME PAYROLL ORIG ID:9000067890 DESC DATE:010524 CO ENTRY DESCR:PAYROLL",2500.00,ACH_CREDIT,4410.01,,
+CHECK,01/08/2024,CHECK 1042,-150.00,CHECK_PAID,4260.01,1042,`,
+
             // Savings account with single signed Amount + Type
             savingsAccount: `Date,Description,Amount,Type
 2024-01-01,Deposit,500.00,Deposit
@@ -31,6 +148,70 @@ class TransactionAnalyzerTests {
 2024-01-04,Check #2001,-100.00,Check`,
 
 
+            // Savings account: transfers and interest, a couple of rows a month
+            savingsTransfers: `Date,Description,Amount
+01/02/2024,Transfer from Checking,500.00
+01/31/2024,Interest Paid,1.25
+02/15/2024,Transfer to Checking,-200.00
+02/29/2024,Interest Paid,1.10`,
+
+            // Unsigned export whose bank wording the built-in detection misreads as money in
+            bankWording: `Date,Description,Amount
+01/02/2024,POS PUR GROCERY OUTLET 1234,45.10
+01/03/2024,MOBILE DEP REF 5521,300.00
+01/04/2024,XFER TO SAV 9876,100.00`,
+
+            // A check the client wrote and one they deposited, both matched by the same rule
+            checkRuleSigns: `Date,Description,Amount
+01/05/2024,CHK 1001 CITY WATER,-80.00
+01/08/2024,CHK DEPOSIT MOBILE,500.00
+01/09/2024,CARD PURCHASE HARDWARE,-25.00`,
+
+            // Groceries bought in two currencies, whose totals must not be added together
+            mixedCurrencyGroceries: `Date,Description,Amount,Currency
+01/05/2024,Safeway,-40.00,USD
+01/06/2024,Loblaws Supermarket,-55.00,CAD
+02/09/2024,Kroger,-20.00,USD`,
+
+            // One row per spending category, plus a merchant only a user keyword can place
+            spendingCategories: `Date,Description,Amount
+01/02/2024,ACME CORP PAYROLL PPD,2400.00
+01/03/2024,SAFEWAY #1234,-86.40
+01/05/2024,SHELL OIL 5531,-41.20
+01/06/2024,MAPLE PROPERTY MANAGEMENT RENT,-1450.00
+01/09/2024,PG&E WEB ONLINE,-112.35
+01/12/2024,ONLINE TRANSFER TO SAV 9876,-300.00
+01/15/2024,MONTHLY SERVICE FEE,-12.00
+01/18/2024,COFFEE CORNER,-4.50
+02/02/2024,ACME CORP PAYROLL PPD,2400.00
+02/04/2024,NEIGHBORHOOD FARMSTAND,-23.75`,
+
+            // Checking account ending 1234 whose savings account ending 9876 was uploaded too;
+            // the grocery row has a transfer's amount and date but nothing else tying it to savings
+            checkingTransfers: `Date,Description,Amount
+01/03/2024,ONLINE TRANSFER TO SAV ...9876,-500.00
+01/04/2024,GROCERY OUTLET,-500.00
+01/10/2024,PAYROLL DEPOSIT,2000.00
+01/20/2024,TRANSFER FROM SAV 9876,250.00
+01/25/2024,ATM WITHDRAWAL,-60.00`,
+
+            savingsTransfersLinked: `Date,Description,Amount
+01/04/2024,Transfer from Checking,500.00
+01/19/2024,Transfer to CHK ...1234,-250.00
+01/31/2024,Interest Paid,1.25`,
+
+            // Rows with a transfer's amount and date that are not transfers: a grocery bill opposite a savings
+            // deposit, and a real transfer out that arrived in another currency
+            checkingLookalikes: `Date,Description,Amount
+01/04/2024,GROCERY OUTLET,-500.00
+01/12/2024,ONLINE TRANSFER TO SAV,-200.00
+01/25/2024,ATM WITHDRAWAL,-60.00`,
+
+            savingsLookalikes: `Date,Description,Amount,Currency
+01/04/2024,Transfer from Checking,500.00,USD
+01/12/2024,Transfer from Checking,200.00,EUR
+01/31/2024,Interest Paid,1.25,USD`,
+
             // Pending + posted mix
             pendingPosted: `Date,Description,Amount,Status
 2024-01-01,Posted Transaction,-50.00,Posted
@@ -44,6 +225,29 @@ class TransactionAnalyzerTests {
 2024-01-02;Deposit;2.500,00;Credit
 2024-01-03;Fee;-50,00;Debit`,
 
+            // In a file that writes amounts with decimal commas, "1,234" is 1.234 rather than 1234
+            decimalCommaThreeDigits: `Date;Description;Amount
+2024-01-01;Purchase;-12,50
+2024-01-04;Interest;1,234`,
+
+            // Tab-separated export (commas inside descriptions must not win the delimiter vote)
+            tabDelimited: `Date\tDescription\tAmount
+2024-01-01\tGrocery Outlet, Inc\t-12.00
+2024-01-02\tPayroll\t900.00
+2024-01-03\tParking, Garage 5\t-4.50`,
+
+            // Pipe-delimited export
+            pipeDelimited: `Date|Description|Amount
+2024-01-01|Grocery Outlet|-12.00
+2024-01-02|Payroll|900.00
+2024-01-03|Parking|-4.50`,
+
+            // Accented merchant names, encoded per test case (UTF-16LE "Unicode text", Windows-1252)
+            accentedMerchants: `Date,Description,Amount
+2024-01-05,Café René,-8.40
+2024-01-06,Crêperie Zoë,-12.00
+2024-01-07,Dépôt,250.00`,
+
             // Excel serial dates (1900/1904 variants)
             excelSerialDates: `Date,Description,Amount,Type
 44927,Purchase,-50.00,Debit
@@ -52,15 +256,266 @@ class TransactionAnalyzerTests {
 
             // Wrapped descriptions (continuation lines)
             wrappedDescriptions: `Date,Description,Amount,Type
-2024-01-01,"Multi-line description that continues on next line",-50.00,Debit
+2024-01-01,"Multi-line description that continues
+on next line",-50.00,Debit
 2024-01-02,Simple description,100.00,Credit`,
 
+            // PDF text layer: a wrapped description line, fragments split within a cell, and right-aligned
+            // amounts and balances that start left of their headers (one sits a point off the row's baseline)
+            pdfTextItems: [
+                pdfItem('Statement Period 01/01/2024 - 01/31/2024', 50, 740, 200),
+                pdfItem('Date', 50, 700, 25), pdfItem('Description', 120, 700, 60),
+                pdfItem('Amount', 400, 700, 40), pdfItem('Balance', 470, 700, 40),
+                pdfItem('01/05/2024', 50, 680, 50), pdfItem('Corner Market Grocery', 120, 680, 110),
+                pdfItem('-42.10', 410, 679, 30), pdfItem('1,957.90', 468, 680, 42),
+                pdfItem('Store #118 Springfield', 120, 668, 105),
+                pdfItem('01/06/2024', 50, 650, 50), pdfItem('Employer', 120, 650, 45), pdfItem('Payroll', 167, 650, 35),
+                pdfItem('1,200.00', 398, 650, 42), pdfItem('3,157.90', 468, 650, 42),
+                pdfItem('01/09/2024', 50, 630, 50), pdfItem('Parking', 120, 630, 40),
+                pdfItem('-7.50', 418, 630, 22), pdfItem('3,150.40', 468, 630, 42)
+            ],
+
+            // RFC 4180 edge cases: BOM, CRLF line endings, escaped quotes, a quoted CRLF and a ragged row
+            rfc4180EdgeCases: '\uFEFFDate,Description,Amount\r\n' +
+                '2024-01-01,"Dinner at ""Joe\'s""",-42.10\r\n' +
+                '2024-01-02,"ACME PAYROLL\r\nREF 991",1500.00,extra,cells\r\n' +
+                '2024-01-03,Coffee,-3.25',
+
             // Duplicate rows (exact duplicates)
             duplicateRows: `Date,Description,Amount,Type
 2024-01-01,Duplicate Transaction,-50.00,Debit
 2024-01-01,Duplicate Transaction,-50.00,Debit
 2024-01-02,Unique Transaction,100.00,Credit`,
 
+            // Excel rows as typed cells: date-formatted serials (as saved by Excel), numeric amounts, text containing commas and quotes
+            excelTypedCells: [
+                ['Posted', 'Description', 'Amount'],
+                [{ t: 'n', v: 45322, z: 'm/d/yyyy' }, 'Smith, Jones & Co "Legal"', -1250.5],
+                [{ t: 'n', v: 45323, z: 'm/d/yyyy' }, 'Payroll, ACME', 3200],
+                [{ t: 'n', v: 45324, z: 'yyyy-mm-dd' }, 'Coffee', -4.75],
+                // A footer count in the date column is a plain number, not a day in 1900
+                [3, 'Transactions this period', 1944.75]
+            ],
+
+            // Workbook with a different account on each sheet: the picked sheet's preamble must win
+            twoAccountWorkbook: {
+                Savings: [
+                    ['Account Number:', 'XXXX9876'],
+                    ['Statement Period:', '02/01/2024 - 02/29/2024'],
+                    [],
+                    ['Date', 'Description', 'Amount'],
+                    ['02/03/2024', 'Transfer from Checking', 200],
+                    ['02/29/2024', 'Interest Paid', 1.1]
+                ],
+                Checking: [
+                    ['Account Number:', 'XXXX1234'],
+                    ['Statement Period:', '01/01/2024 - 01/31/2024'],
+                    [],
+                    ['Date', 'Description', 'Amount'],
+                    ['01/05/2024', 'Grocery Outlet', -150],
+                    ['01/15/2024', 'ACME Payroll', 500]
+                ]
+            },
+
+            // UK sheet (13/01 only reads day-first) analyzed before a US sheet (01/20 only reads month-first)
+            mixedDateOrderWorkbook: {
+                UK: [
+                    ['Date', 'Description', 'Amount'],
+                    ['13/01/2024', 'Grocery Outlet', -10],
+                    ['02/02/2024', 'ACME Payroll', 500]
+                ],
+                US: [
+                    ['Date', 'Description', 'Amount'],
+                    ['01/05/2024', 'Coffee', -4],
+                    ['01/20/2024', 'Rent', -900]
+                ]
+            },
+
+            // An account summary on the first sheet and the transactions on the second
+            summaryFirstWorkbook: {
+                Summary: [
+                    ['Account Summary'],
+                    ['Date', 'Item', 'Amount'],
+                    ['01/31/2024', 'Total debits', -353.35],
+                    ['01/31/2024', 'Total credits', 2400],
+                    ['', 'Transactions', 10]
+                ],
+                Transactions: [
+                    ['Date', 'Description', 'Amount'],
+                    ['01/02/2024', 'Corner Market', -42.1],
+                    ['01/03/2024', 'ACME Payroll', 1200],
+                    ['01/05/2024', 'City Water', -60],
+                    ['01/08/2024', 'Fuel Stop', -35.5],
+                    ['01/10/2024', 'Pharmacy', -18.25],
+                    ['01/12/2024', 'Bookstore', -22],
+                    ['01/15/2024', 'ACME Payroll', 1200],
+                    ['01/18/2024', 'Electric Co', -95],
+                    ['01/22/2024', 'Restaurant', -48.6],
+                    ['01/26/2024', 'Hardware Store', -31.9]
+                ]
+            },
+
+            // One sheet per month, merged: January's opening balance, February's closing balance
+            monthlySheetsWorkbook: {
+                January: [
+                    ['Account Number:', 'XXXX1234'],
+                    ['Statement Period:', '01/01/2024 - 01/31/2024'],
+                    ['Beginning Balance:', '$1,000.00'],
+                    ['Ending Balance:', '$1,350.00'],
+                    [],
+                    ['Date', 'Description', 'Amount'],
+                    ['01/05/2024', 'Grocery Outlet', -150],
+                    ['01/15/2024', 'ACME Payroll', 500]
+                ],
+                February: [
+                    ['Account Number:', 'XXXX1234'],
+                    ['Statement Period:', '02/01/2024 - 02/29/2024'],
+                    ['Beginning Balance:', '$1,350.00'],
+                    ['Ending Balance:', '$1,300.00'],
+                    [],
+                    ['Date', 'Description', 'Amount'],
+                    ['02/07/2024', 'Grocery Outlet', -50]
+                ]
+            },
+
+            // OFX 1.x (SGML) bank export with a check and an overlapping re-download (same FITID)
+            ofxBankStatement: `OFXHEADER:100
+DATA:OFXSGML
+VERSION:102
+
+<OFX>
+<BANKMSGSRSV1><STMTTRNRS><STMTRS>
+<CURDEF>USD
+<BANKTRANLIST>
+<STMTTRN><TRNTYPE>POS<DTPOSTED>20240102120000[-5:EST]<TRNAMT>-50.00<FITID>2024010201<NAME>GROCERY OUTLET</STMTTRN>
+<STMTTRN><TRNTYPE>DIRECTDEP<DTPOSTED>20240103<TRNAMT>1500.00<FITID>2024010301<NAME>ACME PAYROLL</STMTTRN>
+<STMTTRN><TRNTYPE>CHECK<DTPOSTED>20240104<TRNAMT>-75.00<FITID>2024010401<CHECKNUM>1001<NAME>J SMITH</STMTTRN>
+<STMTTRN><TRNTYPE>SRVCHG<DTPOSTED>20240105<TRNAMT>-5.00<FITID>2024010501<NAME>MONTHLY MAINTENANCE</STMTTRN>
+<STMTTRN><TRNTYPE>DIRECTDEP<DTPOSTED>20240103<TRNAMT>1500.00<FITID>2024010301<NAME>ACME PAYROLL</STMTTRN>
+</BANKTRANLIST>
+</STMTRS></STMTTRNRS></BANKMSGSRSV1>
+</OFX>`,
+
+            // Wells Fargo OFX (sign-on <ORG>WF) paying a card at another bank: only the sign-on names the bank
+            ofxPayeeNamesOtherBank: `OFXHEADER:100
+DATA:OFXSGML
+VERSION:102
+
+<OFX>
+<SIGNONMSGSRSV1><SONRS><STATUS><CODE>0<SEVERITY>INFO</STATUS><DTSERVER>20240131<LANGUAGE>ENG<FI><ORG>WF<FID>3000</FI></SONRS></SIGNONMSGSRSV1>
+<BANKMSGSRSV1><STMTTRNRS><STMTRS>
+<CURDEF>USD
+<BANKTRANLIST>
+<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20240108<TRNAMT>-320.00<FITID>2024010801<NAME>AMERICAN EXPRESS ACH PMT</STMTTRN>
+<STMTTRN><TRNTYPE>DIRECTDEP<DTPOSTED>20240112<TRNAMT>1800.00<FITID>2024011201<NAME>ACME PAYROLL</STMTTRN>
+</BANKTRANLIST>
+</STMTRS></STMTTRNRS></BANKMSGSRSV1>
+</OFX>`,
+
+            // QIF bank register with check numbers and non-numeric N codes
+            qifBankStatement: `!Type:Bank
+D01/02/2024
+T-50.00
+NATM
+PCASH WITHDRAWAL
+^
+D1/03'24
+T1,500.00
+NDEP
+PACME PAYROLL
+^
+D01/04/2024
+T-75.00
+N1001
+PJ SMITH
+MRent
+^
+D01/05/2024
+T-125.00
+N1002
+PCITY WATER
+^`,
+
+            // QIF credit card export
+            qifCreditCard: `!Type:CCard
+D01/02/2024
+T-42.10
+PCOFFEE SHOP
+^
+D01/08/2024
+T-19.99
+PSTREAMING SERVICE
+^
+D01/20/2024
+T250.00
+PPAYMENT - THANK YOU
+^`,
+
+            // camt.053 statement with a pending entry and balances that reconcile
+            camtStatement: `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.02">
+<BkToCstmrStmt><Stmt>
+<Acct><Id><IBAN>DE89370400440532013000</IBAN></Id><Ccy>EUR</Ccy></Acct>
+<Bal><Tp><CdOrPrtry><Cd>OPBD</Cd></CdOrPrtry></Tp><Amt Ccy="EUR">1000.00</Amt><CdtDbtInd>CRDT</CdtDbtInd><Dt><Dt>2024-01-01</Dt></Dt></Bal>
+<Bal><Tp><CdOrPrtry><Cd>CLBD</Cd></CdOrPrtry></Tp><Amt Ccy="EUR">1350.00</Amt><CdtDbtInd>CRDT</CdtDbtInd><Dt><Dt>2024-01-31</Dt></Dt></Bal>
+<Ntry><Amt Ccy="EUR">120.00</Amt><CdtDbtInd>DBIT</CdtDbtInd><Sts>BOOK</Sts><BookgDt><Dt>2024-01-03</Dt></BookgDt>
+<NtryDtls><TxDtls><RltdPties><Cdtr><Nm>Stadtwerke</Nm></Cdtr></RltdPties><RmtInf><Ustrd>Strom Januar</Ustrd></RmtInf></TxDtls></NtryDtls></Ntry>
+<Ntry><Amt Ccy="EUR">500.00</Amt><CdtDbtInd>CRDT</CdtDbtInd><Sts>BOOK</Sts><BookgDt><Dt>2024-01-15</Dt></BookgDt>
+<NtryDtls><TxDtls><RltdPties><Dbtr><Nm>Kunde GmbH</Nm></Dbtr></RltdPties><RmtInf><Ustrd>Rechnung 42</Ustrd></RmtInf></TxDtls></NtryDtls></Ntry>
+<Ntry><Amt Ccy="EUR">30.00</Amt><CdtDbtInd>DBIT</CdtDbtInd><Sts>BOOK</Sts><BookgDt><Dt>2024-01-20</Dt></BookgDt><AddtlNtryInf>Kontofuehrung</AddtlNtryInf></Ntry>
+<Ntry><Amt Ccy="EUR">45.00</Amt><CdtDbtInd>DBIT</CdtDbtInd><Sts>PDNG</Sts><ValDt><Dt>2024-01-31</Dt></ValDt><AddtlNtryInf>Kartenzahlung</AddtlNtryInf></Ntry>
+</Stmt></BkToCstmrStmt>
+</Document>`,
+
+            // Two daily camt.053 statements for the same account: the entries and balances of both count
+            camtTwoStatements: `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.02">
+<BkToCstmrStmt><Stmt>
+<Acct><Id><IBAN>DE89370400440532013000</IBAN></Id><Ccy>EUR</Ccy></Acct>
+<Bal><Tp><CdOrPrtry><Cd>OPBD</Cd></CdOrPrtry></Tp><Amt Ccy="EUR">1000.00</Amt><CdtDbtInd>CRDT</CdtDbtInd><Dt><Dt>2024-01-03</Dt></Dt></Bal>
+<Bal><Tp><CdOrPrtry><Cd>CLBD</Cd></CdOrPrtry></Tp><Amt Ccy="EUR">880.00</Amt><CdtDbtInd>CRDT</CdtDbtInd><Dt><Dt>2024-01-03</Dt></Dt></Bal>
+<Ntry><Amt Ccy="EUR">120.00</Amt><CdtDbtInd>DBIT</CdtDbtInd><Sts>BOOK</Sts><BookgDt><Dt>2024-01-03</Dt></BookgDt><AddtlNtryInf>Strom Januar</AddtlNtryInf></Ntry>
+</Stmt><Stmt>
+<Acct><Id><IBAN>DE89370400440532013000</IBAN></Id><Ccy>EUR</Ccy></Acct>
+<Bal><Tp><CdOrPrtry><Cd>OPBD</Cd></CdOrPrtry></Tp><Amt Ccy="EUR">880.00</Amt><CdtDbtInd>CRDT</CdtDbtInd><Dt><Dt>2024-01-15</Dt></Dt></Bal>
+<Bal><Tp><CdOrPrtry><Cd>CLBD</Cd></CdOrPrtry></Tp><Amt Ccy="EUR">1350.00</Amt><CdtDbtInd>CRDT</CdtDbtInd><Dt><Dt>2024-01-15</Dt></Dt></Bal>
+<Ntry><Amt Ccy="EUR">500.00</Amt><CdtDbtInd>CRDT</CdtDbtInd><Sts>BOOK</Sts><BookgDt><Dt>2024-01-15</Dt></BookgDt><AddtlNtryInf>Rechnung 42</AddtlNtryInf></Ntry>
+<Ntry><Amt Ccy="EUR">30.00</Amt><CdtDbtInd>DBIT</CdtDbtInd><Sts>BOOK</Sts><BookgDt><Dt>2024-01-15</Dt></BookgDt><AddtlNtryInf>Kontofuehrung</AddtlNtryInf></Ntry>
+</Stmt></BkToCstmrStmt>
+</Document>`,
+
+            // MT940 export with free-text and structured (?20/?32) :86: lines
+            mt940Statement: `:20:STMT240131
+:25:10020030/1234567890
+:28C:00001/001
+:60F:C240101EUR1000,00
+:61:2401030103D120,00NDDTNONREF//BREF001
+:86:Stadtwerke Strom Januar
+:61:2401150115C500,00NTRFINV42
+:86:166?00GUTSCHRIFT?20Rechnung 42 ?21vom 10.01.?32Kunde GmbH
+:61:2401200120D30,00NCHGNONREF
+:86:Kontofuehrung
+:62F:C240131EUR1350,00
+-`,
+
+            // Two accounts in one MT940 download, each with its own :25: account and currency
+            mt940TwoAccounts: `:20:STMT240131
+:25:10020030/1234567890
+:28C:00001/001
+:60F:C240101EUR1000,00
+:61:2401030103D120,00NDDTNONREF
+:86:Stadtwerke Strom Januar
+:62F:C240131EUR880,00
+-
+:20:STMT240131
+:25:10020030/5550001111
+:28C:00001/001
+:60F:C240101GBP5000,00
+:61:2401100110C50,00NTRFNONREF
+:86:Zinsgutschrift
+:62F:C240131GBP5050,00
+-`,
+
         };
     }
 
@@ -71,13 +526,89 @@ class TransactionAnalyzerTests {
         const fixtures = this.getTestFixtures();
         const testCases = [
             { name: 'CSV Quoted Commas', fixture: fixtures.csvQuotedCommas, expected: { rowCount: 3 } },
-            { name: 'Checking Account', fixture: fixtures.checkingAccount, expected: { accountType: 'cash', debits: 3, credits: 1, checks: 2 } },
+            { name: 'Checking Account', fixture: fixtures.checkingAccount, expected: { accountType: 'cash', debits: 3, credits: 1, checks: 2, amountLayout: 'debit-credit', checkNumbers: ['1001', '1002'], inferredAccountType: 'checking' } },
+            { name: 'Check Number Column', fixture: fixtures.checkNumberColumn, expected: { rowCount: 4, checks: 2, checkNumbers: ['2041', '2042'] } },
+            { name: 'Headerless Check Sequence', fixture: fixtures.headerlessCheckSequence, expected: { rowCount: 4, checks: 2, checkNumbers: ['3051', '3052'] } },
+            { name: 'Paired Unsigned Columns', fixture: fixtures.pairedUnsignedColumns, expected: { rowCount: 3, debits: 2, credits: 1, amountLayout: 'debit-credit', amounts: [-45.1, 1200, -900], balanceBreaks: [] } },
+            { name: 'Running Balance Breaks', fixture: fixtures.runningBalanceBreaks, expected: { rowCount: 7, amounts: [-4, -5, -900, -20, 500, 500, -50], balanceBreaks: ['duplicated', 'mis-signed', 'missing'] } },
+            { name: 'Statement Preamble', fixture: fixtures.statementPreamble, expected: { rowCount: 2, debits: 1, credits: 1, balancesReconcile: true, statementInfo: { accountLastFour: '1234', periodStart: '2024-01-01', periodEnd: '2024-01-31', currency: 'USD' } } },
+            { name: 'Day-First Dates', fixture: fixtures.dayFirstDates, expected: { rowCount: 3, firstDate: '2024-01-02', dateOrder: 'DMY', locale: 'en-GB' } },
+            { name: 'Day-First Ordering', fixture: fixtures.dayFirstOrdering, expected: { rowCount: 4, firstDate: '2024-01-03', dateOrder: 'DMY' } },
+            { name: 'First-of-Month Dates', fixture: fixtures.firstOfMonthDates, expected: { rowCount: 3, firstDate: '2024-01-31', months: ['2024-01', '2024-02', '2024-03'] } },
+            { name: 'Currency Column', fixture: fixtures.currencyColumn, expected: { rowCount: 3, baseCurrency: 'CAD', foreignCurrencyRows: 1 } },
+            { name: 'Currency Symbols', fixture: fixtures.currencySymbols, expected: { rowCount: 3, amounts: [-12.5, 1500, -120], baseCurrency: 'EUR', foreignCurrencyRows: 1 } },
+            { name: 'Amount Notations', fixture: fixtures.amountNotations, expected: { rowCount: 8, debits: 6, credits: 2, amounts: [-123.45, -45.1, 1500, -82, 1234.5, -2.5, -300, -1234], notations: ['parentheses', 'trailing-minus', 'cr-mark', 'dr-mark', 'apostrophe-thousands', 'unicode-minus', 'non-breaking-space', 'currency-code'] } },
+            { name: 'Manual Column Mapping', fixture: fixtures.manualColumnMapping, columnMapping: { headerRow: 1, dateIndex: 1, descriptionIndex: 2, amountIndex: 0, amountLayout: 'signed', typeIndex: -1, debitIndex: -1, creditIndex: -1, checkIndex: -1, statusIndex: -1, balanceIndex: -1, currencyIndex: -1 }, expected: { rowCount: 3, debits: 2, credits: 1, amounts: [-42.1, 1200, -15], firstDate: '2024-01-04', firstDescription: 'Corner Market' } },
+            { name: 'Inverted Amount Signs', fixture: fixtures.manualColumnMapping, columnMapping: { headerRow: 1, dateIndex: 1, descriptionIndex: 2, amountIndex: 0, amountLayout: 'signed', signConvention: 'inverted', typeIndex: -1, debitIndex: -1, creditIndex: -1, checkIndex: -1, statusIndex: -1, balanceIndex: -1, currencyIndex: -1 }, expected: { rowCount: 3, debits: 1, credits: 2, amounts: [42.1, -1200, 15] } },
+            { name: 'Bank Profile Applied', fixture: fixtures.manualColumnMapping, bank: 'chase', accountType: 'checking', profiles: [
+                { bank: 'chase', accountType: 'checking', columnMapping: { headerRow: 0, dateIndex: 1, descriptionIndex: 2, amountIndex: 0, amountLayout: 'signed' }, headerSignature: 'val|posted on|narrative|ref', dateOrder: 'DMY' }
+            ], expected: { rowCount: 3, profileStatus: 'applied', appliedDateOrder: 'DMY', firstDate: '2024-04-01', amounts: [-42.1, 1200, -15] } },
+            { name: 'Bank Profile Header Mismatch', fixture: fixtures.renamedColumns, bank: 'chase', accountType: 'checking', profiles: [
+                { bank: 'chase', accountType: 'checking', columnMapping: { headerRow: 0, dateIndex: 1, descriptionIndex: 2, amountIndex: 0, amountLayout: 'signed' }, headerSignature: 'val|posted on|narrative|ref', dateOrder: 'DMY' }
+            ], expected: { rowCount: 2, profileStatus: 'mismatch', appliedDateOrder: 'MDY', firstDate: '2024-01-04' } },
+            { name: 'Bank Profile Import', fixture: fixtures.manualColumnMapping, bank: 'chase', accountType: 'checking', profiles: [
+                { bank: 'chase', accountType: 'checking', columnMapping: { headerRow: 0, dateIndex: 1, descriptionIndex: 2, amountIndex: 0, amountLayout: 'signed', comment: 'x' }, headerSignature: 'val|posted on|narrative|ref', note: '<b>old export</b>' },
+                { bank: 'chase', accountType: 'savings', columnMapping: { headerRow: 0, dateIndex: '1', amountIndex: 0, amountLayout: 'signed' } },
+                { bank: 'chase', accountType: 'credit', columnMapping: { headerRow: 0, dateIndex: 1, descriptionIndex: -5, amountIndex: 0, amountLayout: 'signed' } },
+                { bank: 'wells-fargo', accountType: 'checking', columnMapping: { headerRow: 0, dateIndex: 1, amountIndex: 0, amountLayout: 'signed', signConvention: 'sideways' } },
+                { bank: 'auto', accountType: 'checking', columnMapping: { headerRow: 0, dateIndex: 1, amountIndex: 0, amountLayout: 'signed' } }
+            ], expected: { rowCount: 3, profileImport: { imported: 1, skipped: 4 }, profileStatus: 'applied', savedProfile: { note: undefined, signConvention: 'standard', dateOrder: null } } },
+            { name: 'Bank Profile Save', fixture: fixtures.dayFirstDates, bank: 'chase', accountType: 'checking', saveProfile: true, expected: { rowCount: 3, savedProfile: { headerRow: 0, headerSignature: 'date|description|amount', dateOrder: 'DMY', signConvention: 'standard' } } },
+            { name: 'Chase Checking Fingerprint', fixture: fixtures.chaseCheckingExport, expected: { rowCount: 3, checks: 1, bankGuessed: 'chase', accountTypeGuessed: 'checking' } },
+            { name: 'Accept Card Bank Guess', fixture: fixtures.chaseCardExport, accountType: 'checking', acceptBankGuess: true, expected: { rowCount: 3, accountType: 'credit', charges: 2, payments: 1, bankGuessed: 'chase', accountTypeGuessed: 'credit-card' } },
             { name: 'Savings Account', fixture: fixtures.savingsAccount, expected: { accountType: 'cash', debits: 2, credits: 2, checks: 1 } },
-            { name: 'Pending Posted Mix', fixture: fixtures.pendingPosted, expected: { rowCount: 4, pendingOnly: false } },
-            { name: 'Decimal Comma Locale', fixture: fixtures.decimalCommaLocale, expected: { rowCount: 3 } },
+            { name: 'Savings Transfers', fixture: fixtures.savingsTransfers, expected: { rowCount: 4, credits: 3, debits: 1, inferredAccountType: 'savings' } },
+            { name: 'Classification Rules', fixture: fixtures.bankWording, rules: [
+                { id: 'pos', field: 'description', operator: 'contains', value: 'pos pur', resultType: 'debits', priority: 1 },
+                { id: 'xfer', field: 'description', operator: 'regex', value: '^XFER TO', resultType: 'debits', priority: 1 },
+                { id: 'other-bank', field: 'description', operator: 'contains', value: 'MOBILE DEP', resultType: 'debits', priority: 5, bank: 'wells-fargo' },
+                { id: 'low-priority', field: 'amount', operator: 'greater-than', value: '40', resultType: 'credits', priority: 0 }
+            ], expected: { rowCount: 3, debits: 2, credits: 1 } },
+            { name: 'Check Rule Signs', fixture: fixtures.checkRuleSigns, rules: [
+                { id: 'chk', field: 'description', operator: 'regex', value: '^CHK\\b', resultType: 'checks', priority: 1 }
+            ], expected: { rowCount: 3, checks: 2, debits: 2, credits: 1 } },
+            { name: 'Rule Import', fixture: fixtures.bankWording, importRules: [
+                { id: 'xfer', field: 'description', operator: 'regex', value: '^XFER TO', resultType: 'debits', priority: 1 },
+                { id: 'nested', field: 'description', operator: 'regex', value: '(a+)+$', resultType: 'debits', priority: 1 },
+                { id: 'long', field: 'description', operator: 'regex', value: 'POS|'.repeat(60), resultType: 'debits', priority: 1 },
+                { id: 'broken', field: 'description', operator: 'regex', value: '(unclosed', resultType: 'debits', priority: 1 }
+            ], expected: { rowCount: 3, ruleImport: { imported: 1, skipped: 3 }, debits: 2, credits: 1 } },
+            { name: 'Spending Categories', fixture: fixtures.spendingCategories, categoryKeywords: [
+                { keyword: 'farmstand', category: 'Groceries' }
+            ], expected: { rowCount: 10, categories: { Payroll: 2, Groceries: 2, Fuel: 1, Rent: 1, Utilities: 1, Transfers: 1, Fees: 1, Dining: 1 } } },
+            { name: 'Category Totals By Currency', fixture: fixtures.mixedCurrencyGroceries, expected: { rowCount: 3, categories: { Groceries: 3 }, categoryTotals: { Groceries: { USD: -60, CAD: -55 } } } },
+            { name: 'Internal Transfers', fixture: fixtures.checkingTransfers, account: { accountType: 'checking', lastFourDigits: '1234' }, linkedAccounts: [
+                { fixture: fixtures.savingsTransfersLinked, accountType: 'savings', lastFourDigits: '9876' }
+            ], excludeTransfers: true, expected: { rowCount: 5, transferPairs: 2, debits: 2, credits: 1 } },
+            { name: 'Transfer Lookalikes', fixture: fixtures.checkingLookalikes, account: { accountType: 'checking' }, linkedAccounts: [
+                { fixture: fixtures.savingsLookalikes, accountType: 'savings' }
+            ], excludeTransfers: true, expected: { rowCount: 3, transferPairs: 0, debits: 3 } },
+            { name: 'Pending Posted Mix', fixture: fixtures.pendingPosted, expected: { rowCount: 4, pendingOnly: false, debits: 1, credits: 1, pendingExcluded: 2 } },
+            { name: 'Decimal Comma Locale', fixture: fixtures.decimalCommaLocale, expected: { rowCount: 3, delimiter: ';' } },
+            { name: 'Decimal Comma Three Digits', fixture: fixtures.decimalCommaThreeDigits, expected: { rowCount: 2, amounts: [-12.5, 1.234] } },
+            { name: 'Tab Delimited', fixture: fixtures.tabDelimited, expected: { rowCount: 3, delimiter: '\t' } },
+            { name: 'Pipe Delimited', fixture: fixtures.pipeDelimited, expected: { rowCount: 3, delimiter: '|' } },
+            { name: 'UTF-16LE Export', fixture: fixtures.accentedMerchants, encoding: 'utf-16le', expected: { rowCount: 3, encoding: 'utf-16le', firstDescription: 'Café René' } },
+            { name: 'Windows-1252 Export', fixture: fixtures.accentedMerchants, encoding: 'windows-1252', expected: { rowCount: 3, encoding: 'windows-1252', firstDescription: 'Café René' } },
             { name: 'Excel Serial Dates', fixture: fixtures.excelSerialDates, expected: { rowCount: 3 } },
-            { name: 'Wrapped Descriptions', fixture: fixtures.wrappedDescriptions, expected: { rowCount: 2 } },
-            { name: 'Duplicate Rows', fixture: fixtures.duplicateRows, expected: { rowCount: 3, hasDuplicates: true } }
+            { name: 'Excel Typed Cells', fixture: fixtures.excelTypedCells, format: 'excel', expected: { rowCount: 3, debits: 2, credits: 1, firstDate: '2024-01-31' } },
+            { name: 'Workbook Summary Sheet First', fixture: fixtures.summaryFirstWorkbook, format: 'workbook', expected: { rowCount: 10, sheetUsed: 'Transactions' } },
+            { name: 'Workbook Sheet Preamble', fixture: fixtures.twoAccountWorkbook, format: 'workbook', sheet: 'Checking', expected: { rowCount: 2, statementInfo: { accountLastFour: '1234', periodStart: '2024-01-01' } } },
+            { name: 'Workbook Sheet Date Order', fixture: fixtures.mixedDateOrderWorkbook, format: 'workbook', sheet: 'UK', expected: { rowCount: 2, firstDate: '2024-01-13', dateOrder: 'DMY' } },
+            { name: 'Merged Sheet Preambles', fixture: fixtures.monthlySheetsWorkbook, format: 'workbook', expected: { rowCount: 3, balancesReconcile: true, statementInfo: { accountLastFour: '1234', periodStart: '2024-01-01', periodEnd: '2024-02-29' } } },
+            { name: 'Wrapped Descriptions', fixture: fixtures.wrappedDescriptions, expected: { rowCount: 2, sourceLines: [2, 4], firstDescription: 'Multi-line description that continues on next line' } },
+            { name: 'PDF Text Layer', fixture: fixtures.pdfTextItems, format: 'pdf', expected: { rowCount: 3, amounts: [-42.1, 1200, -7.5], balanceBreaks: [], firstDescription: 'Corner Market Grocery Store #118 Springfield' } },
+            { name: 'RFC 4180 Edge Cases', fixture: fixtures.rfc4180EdgeCases, expected: { rowCount: 3, debits: 2, credits: 1, sourceLines: [2, 3, 5], firstDescription: 'Dinner at "Joe\'s"' } },
+            { name: 'Duplicate Rows', fixture: fixtures.duplicateRows, expected: { rowCount: 3, hasDuplicates: true } },
+            { name: 'OFX Bank Statement', fixture: fixtures.ofxBankStatement, format: 'ofx', expected: { rowCount: 5, debits: 3, credits: 1, checks: 1 } },
+            { name: 'OFX Payee Names Another Bank', fixture: fixtures.ofxPayeeNamesOtherBank, format: 'ofx', expected: { rowCount: 2, bankGuessed: 'wells-fargo' } },
+            { name: 'QIF Bank Statement', fixture: fixtures.qifBankStatement, format: 'qif', expected: { rowCount: 4, debits: 3, credits: 1, checks: 2 } },
+            { name: 'QIF Credit Card', fixture: fixtures.qifCreditCard, format: 'qif', expected: { rowCount: 3, accountType: 'credit', charges: 2, payments: 1, inferredAccountType: 'credit-card' } },
+            { name: 'camt.053 Statement', fixture: fixtures.camtStatement, format: 'camt', expected: { rowCount: 4, debits: 2, credits: 1, balancesReconcile: true } },
+            { name: 'camt.053 Two Statements', fixture: fixtures.camtTwoStatements, format: 'camt', expected: { rowCount: 3, debits: 2, credits: 1, balancesReconcile: true, statementInfo: { accountId: 'DE89370400440532013000' } } },
+            { name: 'camt.053 Two Accounts', fixture: fixtures.camtTwoStatements.replace('</Stmt><Stmt>\n<Acct><Id><IBAN>DE89370400440532013000', '</Stmt><Stmt>\n<Acct><Id><IBAN>DE02120300000000202051'), format: 'camt', expected: { error: 'statements for 2 accounts' } },
+            { name: 'MT940 Statement', fixture: fixtures.mt940Statement, format: 'mt940', expected: { rowCount: 3, debits: 2, credits: 1, balancesReconcile: true } },
+            { name: 'MT940 Two Accounts', fixture: fixtures.mt940TwoAccounts, format: 'mt940', expected: { error: 'statements for 2 accounts' } }
         ];
 
         for (const testCase of testCases) {
@@ -97,11 +628,55 @@ class TransactionAnalyzerTests {
                 type: 'text/csv'
             };
 
-            // Parse the CSV text
-            const transactions = this.analyzer.parseCSV(testCase.fixture);
+            // Bank profiles are imported for the selected bank before the file is read, as the profile menu does
+            this.storage = {};
+            this.analyzer.selectedBank = testCase.bank || null;
+            this.analyzer.selectedAccountType = testCase.accountType || null;
+            const profileImport = testCase.profiles ?
+                this.analyzer.importBankProfiles(JSON.stringify({ version: 1, profiles: testCase.profiles })) : null;
             
-            // Use default account type for tests
-            const accountType = 'cash'; // Default to cash for test suite
+            // The client's other accounts are parsed first so the tested file's parsing flags stay its own
+            const linkedAccounts = (testCase.linkedAccounts || []).map((account, index) => {
+                const transactions = this.parseFixture(account);
+                return {
+                    id: `linked-${index}`,
+                    accountType: account.accountType,
+                    lastFourDigits: account.lastFourDigits,
+                    baseCurrency: this.analyzer.detectBaseCurrency(transactions),
+                    transactions
+                };
+            });
+            
+            // Parse the fixture text with the parser for its format; a bank guess accepted from the results
+            // page goes through the upload path instead, since accepting it can read the file again
+            if (testCase.acceptBankGuess) {
+                await this.uploadAndAcceptBankGuess(testCase, mockFile);
+            }
+            const transactions = testCase.acceptBankGuess ? this.analyzer.transactions : this.parseFixture(testCase);
+            
+            // Saving from the results page stores the mapping that was just used
+            if (testCase.saveProfile) {
+                this.analyzer.saveBankProfile();
+                const profileInfo = document.getElementById('bankProfileInfo');
+                if (profileInfo) profileInfo.remove();
+            }
+            
+            // Transfers are matched across the tested file and its linked accounts
+            this.analyzer.accounts = linkedAccounts.length > 0 ?
+                [{ id: 'tested', ...testCase.account, baseCurrency: this.analyzer.detectBaseCurrency(transactions), transactions }, ...linkedAccounts] : [];
+            this.analyzer.excludeTransfers = Boolean(testCase.excludeTransfers);
+            this.analyzer.matchInternalTransfers();
+            
+            // Only the fixture's own rules apply, never rules saved in this browser
+            this.analyzer.classificationRules = testCase.rules || [];
+            const ruleImport = testCase.importRules ?
+                this.analyzer.importClassificationRules(JSON.stringify({ version: 1, rules: testCase.importRules })) : null;
+            this.analyzer.customCategoryKeywords = testCase.categoryKeywords || [];
+            
+            // Use default account type for tests unless the fixture declares one (e.g. QIF !Type:CCard)
+            // or the counting policy came from an accepted guess
+            const accountType = testCase.acceptBankGuess ? this.analyzer.accountType :
+                this.analyzer.parsingFlags.declaredAccountType || 'cash';
             
             // Count transactions
             const counts = this.analyzer.countTransactions(transactions, accountType);
@@ -111,7 +686,9 @@ class TransactionAnalyzerTests {
                 transactions,
                 accountType,
                 counts,
-                parsingFlags: this.analyzer.parsingFlags
+                parsingFlags: this.analyzer.parsingFlags,
+                profileImport,
+                ruleImport
             });
             
             this.testResults.push({
@@ -126,19 +703,108 @@ class TransactionAnalyzerTests {
             }
             
         } catch (error) {
-            console.error(`❌ ${testCase.name}: ERROR - ${error.message}`);
+            // Fixtures that must be rejected name the error they expect
+            const rejected = Boolean(testCase.expected.error) && error.message.includes(testCase.expected.error);
+            console.error(`${rejected ? '✅' : '❌'} ${testCase.name}: ERROR - ${error.message}`);
             this.testResults.push({
                 name: testCase.name,
-                passed: false,
-                details: `ERROR: ${error.message}`
+                passed: rejected,
+                details: rejected ? '' : `ERROR: ${error.message}`
             });
         }
     }
 
+    async uploadAndAcceptBankGuess(testCase, mockFile) {
+        // The file is uploaded with the answers given, then the bank guess is accepted; the results
+        // section this renders is put back the way it was
+        const resultsSection = document.getElementById('resultsSection');
+        const display = resultsSection.style.display;
+        await this.analyzer.processFile(new File([testCase.fixture], mockFile.name, { type: mockFile.type }));
+        if (!this.analyzer.bankGuess) {
+            throw new Error('No bank was guessed from the file');
+        }
+        await this.analyzer.applyBankGuess();
+        resultsSection.style.display = display;
+    }
+
+    parseFixture(testCase) {
+        this.analyzer.parsingFlags.declaredAccountType = null;
+        this.analyzer.parsingFlags.encoding = null;
+        this.analyzer.statementInfo = {};
+        this.analyzer.workbookSheets = [];
+        this.analyzer.mergedSheetNames = [];
+        this.analyzer.bankGuess = null;
+        this.analyzer.parsingFlags.dateOrder = null;
+        this.analyzer.parsingFlags.dateOrderEvidence = null;
+        this.analyzer.parsingFlags.dateOrderAmbiguous = false;
+        this.analyzer.parsingFlags.profileStatus = null;
+        this.analyzer.dateOrderOverride = null;
+        
+        // Structured formats are fingerprinted from their header fields, as uploads are
+        if (['ofx', 'qif', 'camt', 'mt940'].includes(testCase.format)) {
+            this.analyzer.detectBankFromText(testCase.fixture, testCase.format);
+        }
+        
+        switch (testCase.format) {
+            case 'ofx':
+                return this.analyzer.parseOFX(testCase.fixture);
+            case 'qif':
+                return this.analyzer.parseQIF(testCase.fixture);
+            case 'camt':
+                return this.analyzer.parseCAMT(testCase.fixture);
+            case 'mt940':
+                return this.analyzer.parseMT940(testCase.fixture);
+            case 'workbook': {
+                // Every sheet is analyzed and the chosen one (or the default selection) restored, as parseExcel does
+                this.analyzer.workbookSheets = Object.entries(testCase.fixture).map(([name, rows]) =>
+                    this.analyzer.analyzeWorksheet(name, XLSX.utils.aoa_to_sheet(rows)));
+                return this.analyzer.applySheetSelection(testCase.sheet || this.analyzer.chooseDefaultSheetSelection(this.analyzer.workbookSheets));
+            }
+            case 'pdf':
+                return this.analyzer.parseRowsSafe(this.analyzer.buildRowsFromTextItems(testCase.fixture));
+            case 'excel':
+                return this.analyzer.parseRowsSafe(this.analyzer.readWorksheetRows(XLSX.utils.aoa_to_sheet(testCase.fixture)));
+            default: {
+                // A hand-made mapping skips column detection, as the column mapping editor does
+                if (testCase.columnMapping) {
+                    const records = Array.from(this.analyzer.readCSVRecords(testCase.fixture, ','));
+                    return this.analyzer.parseRowsSafe(records.map(record => record.cells), records.map(record => record.line), testCase.columnMapping);
+                }
+                // Encoded fixtures go through the same byte sniffing as uploaded files
+                const text = testCase.encoding ?
+                    this.analyzer.decodeText(this.encodeFixture(testCase.fixture, testCase.encoding)) :
+                    testCase.fixture;
+                return this.analyzer.parseCSV(text);
+            }
+        }
+    }
+
+    encodeFixture(text, encoding) {
+        if (encoding === 'utf-16le') {
+            const bytes = [0xFF, 0xFE];
+            for (let i = 0; i < text.length; i++) {
+                const code = text.charCodeAt(i);
+                bytes.push(code & 0xFF, code >> 8);
+            }
+            return new Uint8Array(bytes);
+        }
+        if (encoding === 'windows-1252') {
+            // Fixtures stay within Latin-1, where Windows-1252 bytes equal the character codes
+            return Uint8Array.from(text, char => char.charCodeAt(0));
+        }
+        return new TextEncoder().encode(text);
+    }
+
     assertTestResults(testCase, actual) {
         const details = [];
         let passed = true;
 
+        // A fixture that should have been rejected was parsed
+        if (testCase.expected.error) {
+            details.push(`Expected the file to be rejected with "${testCase.expected.error}"`);
+            passed = false;
+        }
+
         // Check row count
         if (testCase.expected.rowCount) {
             if (actual.transactions.length !== testCase.expected.rowCount) {
@@ -199,6 +865,280 @@ class TransactionAnalyzerTests {
             }
         }
 
+        // Check the first parsed date (catches day shifts from serial or text conversion)
+        if (testCase.expected.firstDate) {
+            const firstDate = actual.transactions.length > 0 ? this.analyzer.cellText(actual.transactions[0].date) : 'none';
+            if (firstDate !== testCase.expected.firstDate) {
+                details.push(`Expected first date ${testCase.expected.firstDate}, got ${firstDate}`);
+                passed = false;
+            }
+        }
+
+        // Check the amount layout and the signed amounts derived from it
+        if (testCase.expected.amountLayout) {
+            const amountLayout = this.analyzer.columnMapping ? this.analyzer.columnMapping.amountLayout : null;
+            if (amountLayout !== testCase.expected.amountLayout) {
+                details.push(`Expected amount layout '${testCase.expected.amountLayout}', got '${amountLayout}'`);
+                passed = false;
+            }
+        }
+
+        if (testCase.expected.amounts) {
+            const amounts = actual.transactions.map(t => t.amount).join(',');
+            if (amounts !== testCase.expected.amounts.join(',')) {
+                details.push(`Expected amounts ${testCase.expected.amounts.join(',')}, got ${amounts}`);
+                passed = false;
+            }
+        }
+
+        if (testCase.expected.pendingExcluded !== undefined) {
+            if (actual.counts.pendingExcluded !== testCase.expected.pendingExcluded) {
+                details.push(`Expected ${testCase.expected.pendingExcluded} pending rows excluded, got ${actual.counts.pendingExcluded}`);
+                passed = false;
+            }
+        }
+
+        // Check numbers stored on the transactions, in order
+        if (testCase.expected.checkNumbers) {
+            const checkNumbers = actual.transactions.filter(t => t.checkNumber).map(t => t.checkNumber).join(',');
+            if (checkNumbers !== testCase.expected.checkNumbers.join(',')) {
+                details.push(`Expected check numbers ${testCase.expected.checkNumbers.join(',')}, got ${checkNumbers}`);
+                passed = false;
+            }
+        }
+
+        // Check the running-balance breaks, in chronological order
+        if (testCase.expected.balanceBreaks) {
+            const reconciliation = this.analyzer.reconcileRunningBalances(actual.transactions);
+            const kinds = reconciliation ? reconciliation.breaks.map(balanceBreak => balanceBreak.kind).join(',') : 'no balance column';
+            if (kinds !== testCase.expected.balanceBreaks.join(',')) {
+                details.push(`Expected balance breaks [${testCase.expected.balanceBreaks.join(',')}], got [${kinds}]`);
+                passed = false;
+            }
+        }
+
+        // Check the calendar months rows are grouped into
+        if (testCase.expected.months) {
+            this.analyzer.transactions = actual.transactions;
+            const months = Object.keys(this.analyzer.groupTransactionsByMonth()).sort();
+            if (months.join(',') !== testCase.expected.months.join(',')) {
+                details.push(`Expected months ${testCase.expected.months.join(', ')}, got ${months.join(', ')}`);
+                passed = false;
+            }
+        }
+
+        // Check the amount notations recorded while parsing
+        if (testCase.expected.notations) {
+            const seen = Object.keys(this.analyzer.getAmountNotationSummary(actual.transactions));
+            const missing = testCase.expected.notations.filter(notation => !seen.includes(notation));
+            if (missing.length > 0) {
+                details.push(`Expected amount notations ${missing.join(', ')}, saw ${seen.join(', ') || 'none'}`);
+                passed = false;
+            }
+        }
+
+        // Check the bank and account type guessed from the file's fingerprint
+        if (testCase.expected.bankGuessed) {
+            const guess = this.analyzer.bankGuess;
+            const guessed = guess ? `${guess.bank}/${guess.accountType || 'unknown'}` : 'none';
+            const wanted = `${testCase.expected.bankGuessed}/${testCase.expected.accountTypeGuessed || 'unknown'}`;
+            if (guessed !== wanted) {
+                details.push(`Expected bank guess ${wanted}, got ${guessed}`);
+                passed = false;
+            }
+        }
+
+        // Check the account type inferred from the rows
+        if (testCase.expected.inferredAccountType) {
+            const guess = this.analyzer.inferAccountType(actual.transactions);
+            const inferred = guess ? guess.accountType : 'none';
+            if (inferred !== testCase.expected.inferredAccountType) {
+                details.push(`Expected inferred account type ${testCase.expected.inferredAccountType}, got ${inferred}`);
+                passed = false;
+            }
+        }
+
+        // Check the transfers matched with the linked accounts
+        if (testCase.expected.transferPairs !== undefined) {
+            if (this.analyzer.transferPairs.length !== testCase.expected.transferPairs) {
+                details.push(`Expected ${testCase.expected.transferPairs} matched transfers, got ${this.analyzer.transferPairs.length}`);
+                passed = false;
+            }
+        }
+
+        // Check the spending category counts (every row must land in one of the listed categories)
+        if (testCase.expected.categories) {
+            const categories = Object.fromEntries(Object.entries(this.analyzer.groupTransactionsByCategory(actual.transactions))
+                .map(([category, group]) => [category, group.count]));
+            const wanted = Object.entries(testCase.expected.categories).map(([category, count]) => `${category}:${count}`).sort().join(', ');
+            const got = Object.entries(categories).map(([category, count]) => `${category}:${count}`).sort().join(', ');
+            if (got !== wanted) {
+                details.push(`Expected categories ${wanted}, got ${got}`);
+                passed = false;
+            }
+        }
+
+        // Check the category totals, which are kept apart per currency
+        if (testCase.expected.categoryTotals) {
+            const groups = this.analyzer.groupTransactionsByCategory(actual.transactions);
+            const describe = (totals) => Object.entries(totals).map(([currency, total]) => `${currency} ${total.toFixed(2)}`).sort().join(', ');
+            Object.entries(testCase.expected.categoryTotals).forEach(([category, totals]) => {
+                const got = describe(groups[category] ? groups[category].totals || {} : {});
+                if (got !== describe(totals)) {
+                    details.push(`Expected ${category} totals ${describe(totals)}, got ${got || 'none'}`);
+                    passed = false;
+                }
+            });
+        }
+
+        // Check the account's base currency and the rows flagged as another currency
+        if (testCase.expected.baseCurrency) {
+            const baseCurrency = this.analyzer.detectBaseCurrency(actual.transactions);
+            if (baseCurrency !== testCase.expected.baseCurrency) {
+                details.push(`Expected base currency ${testCase.expected.baseCurrency}, got ${baseCurrency}`);
+                passed = false;
+            }
+        }
+
+        if (testCase.expected.foreignCurrencyRows !== undefined) {
+            const baseCurrency = this.analyzer.detectBaseCurrency(actual.transactions);
+            const foreignRows = actual.transactions.filter(t => t.currency && t.currency !== baseCurrency).length;
+            if (foreignRows !== testCase.expected.foreignCurrencyRows) {
+                details.push(`Expected ${testCase.expected.foreignCurrencyRows} rows in another currency, got ${foreignRows}`);
+                passed = false;
+            }
+        }
+
+        // Check the day/month order inferred from the date column
+        if (testCase.expected.dateOrder) {
+            if (actual.parsingFlags.dateOrder !== testCase.expected.dateOrder) {
+                details.push(`Expected date order ${testCase.expected.dateOrder}, got ${actual.parsingFlags.dateOrder}`);
+                passed = false;
+            }
+        }
+
+        // Check the saved bank profile that was applied, or why it wasn't, and the date order then used
+        if (testCase.expected.profileStatus) {
+            if (actual.parsingFlags.profileStatus !== testCase.expected.profileStatus) {
+                details.push(`Expected bank profile status ${testCase.expected.profileStatus}, got ${actual.parsingFlags.profileStatus}`);
+                passed = false;
+            }
+        }
+
+        if (testCase.expected.appliedDateOrder) {
+            if (this.analyzer.getDateOrder() !== testCase.expected.appliedDateOrder) {
+                details.push(`Expected dates read as ${testCase.expected.appliedDateOrder}, got ${this.analyzer.getDateOrder()}`);
+                passed = false;
+            }
+        }
+
+        if (testCase.expected.profileImport) {
+            const { imported, skipped } = actual.profileImport || {};
+            if (imported !== testCase.expected.profileImport.imported || skipped !== testCase.expected.profileImport.skipped) {
+                details.push(`Expected ${testCase.expected.profileImport.imported} profiles imported and ${testCase.expected.profileImport.skipped} skipped, got ${imported} and ${skipped}`);
+                passed = false;
+            }
+        }
+
+        if (testCase.expected.ruleImport) {
+            const { imported, skipped } = actual.ruleImport || {};
+            if (imported !== testCase.expected.ruleImport.imported || skipped !== testCase.expected.ruleImport.skipped) {
+                details.push(`Expected ${testCase.expected.ruleImport.imported} rules imported and ${testCase.expected.ruleImport.skipped} skipped, got ${imported} and ${skipped}`);
+                passed = false;
+            }
+        }
+
+        // Check the profile stored for the selected bank and account type
+        if (testCase.expected.savedProfile) {
+            const saved = this.analyzer.loadBankProfiles()[this.analyzer.getBankProfileKey()];
+            if (!saved) {
+                details.push('Expected a bank profile to be saved');
+                passed = false;
+            } else {
+                Object.entries(testCase.expected.savedProfile).forEach(([key, value]) => {
+                    if (saved[key] !== value) {
+                        details.push(`Expected saved profile ${key} ${value}, got ${saved[key]}`);
+                        passed = false;
+                    }
+                });
+            }
+        }
+
+        if (testCase.expected.locale) {
+            const locale = this.analyzer.detectLocale(actual.transactions);
+            if (locale !== testCase.expected.locale) {
+                details.push(`Expected locale ${testCase.expected.locale}, got ${locale}`);
+                passed = false;
+            }
+        }
+
+        // Check the sniffed delimiter and text encoding
+        if (testCase.expected.delimiter) {
+            if (actual.parsingFlags.delimiter !== testCase.expected.delimiter) {
+                details.push(`Expected delimiter ${JSON.stringify(testCase.expected.delimiter)}, got ${JSON.stringify(actual.parsingFlags.delimiter)}`);
+                passed = false;
+            }
+        }
+
+        if (testCase.expected.encoding) {
+            if (actual.parsingFlags.encoding !== testCase.expected.encoding) {
+                details.push(`Expected encoding ${testCase.expected.encoding}, got ${actual.parsingFlags.encoding}`);
+                passed = false;
+            }
+        }
+
+        // Check the sheet the output contract reports as used and as the best scored
+        if (testCase.expected.sheetUsed) {
+            Object.assign(this.analyzer, { transactions: actual.transactions, accountType: actual.accountType, counts: actual.counts });
+            const contract = this.analyzer.generateOutputContract('test-workbook.xlsx');
+            const [best] = [...contract.debug.sheetScores].sort((a, b) => b.score - a.score);
+            if (contract.fileInfo.sheetUsed !== testCase.expected.sheetUsed) {
+                details.push(`Expected sheet ${testCase.expected.sheetUsed} to be used, got ${contract.fileInfo.sheetUsed}`);
+                passed = false;
+            }
+            if (!best || best.sheet !== testCase.expected.sheetUsed || contract.debug.sheetScores.length !== contract.fileInfo.sheetsAnalyzed.length) {
+                details.push(`Expected sheet ${testCase.expected.sheetUsed} to score best, got ${contract.debug.sheetScores.map(entry => `${entry.sheet} ${entry.score.toFixed(2)}`).join(', ')}`);
+                passed = false;
+            }
+        }
+
+        // Check the physical source lines reported for each record
+        if (testCase.expected.sourceLines) {
+            const sourceLines = actual.transactions.map(t => t.sourceLine).join(',');
+            if (sourceLines !== testCase.expected.sourceLines.join(',')) {
+                details.push(`Expected source lines ${testCase.expected.sourceLines.join(',')}, got ${sourceLines}`);
+                passed = false;
+            }
+        }
+
+        if (testCase.expected.firstDescription) {
+            const firstDescription = actual.transactions.length > 0 ? actual.transactions[0].description : 'none';
+            if (firstDescription !== testCase.expected.firstDescription) {
+                details.push(`Expected first description "${testCase.expected.firstDescription}", got "${firstDescription}"`);
+                passed = false;
+            }
+        }
+
+        // Check statement balance reconciliation
+        if (testCase.expected.balancesReconcile !== undefined) {
+            const reconciliation = this.analyzer.reconcileStatementBalances(actual.transactions);
+            const balanced = reconciliation ? reconciliation.balanced : false;
+            if (balanced !== testCase.expected.balancesReconcile) {
+                details.push(`Expected balances to ${testCase.expected.balancesReconcile ? '' : 'not '}reconcile, difference was ${reconciliation ? reconciliation.difference.toFixed(2) : 'n/a'}`);
+                passed = false;
+            }
+        }
+
+        // Check metadata read from the statement preamble
+        if (testCase.expected.statementInfo) {
+            Object.entries(testCase.expected.statementInfo).forEach(([key, value]) => {
+                if (this.analyzer.statementInfo[key] !== value) {
+                    details.push(`Expected statement ${key} ${value}, got ${this.analyzer.statementInfo[key]}`);
+                    passed = false;
+                }
+            });
+        }
+
         // Row drift checks removed - our parsing is robust and doesn't trigger drift protection
 
         // Check confidence